@@ -0,0 +1,288 @@
+/**
+ * Dreams and Poems - Service Worker
+ * Caches the app shell (network first, so updates land immediately) and the
+ * most recently played clips, answering the <video> element's Range requests
+ * from the cached file so played dreams keep working offline.
+ *
+ * Clips are recorded from the download the page makes anyway (never fetched
+ * twice) into a small pending cache, and only move to the video cache when
+ * the page reports that they started playing (VIDEO_OFFLINE.clipStarted).
+ * Recording needs a readable response: same-origin clips, or a clip host that
+ * sends CORS headers. Hosts that don't are reported to the page.
+ *
+ * Try it locally: put a few clips in Desktop/ and Mobile/ folders next to
+ * index.html, serve this folder (e.g. `python3 -m http.server 8080`), open
+ * http://localhost:8080/?clips=./ and let a few clips play, then go offline
+ * in DevTools. (?clips= is ignored anywhere but localhost/127.0.0.1.)
+ *
+ * @author Carlos Escobar
+ * @description App shell and video cache for the installable player
+ */
+
+const SHELL_CACHE = 'dreams-and-poems-shell-v1';
+const VIDEO_CACHE = 'dreams-and-poems-videos-v1'; // Also read by video-offline.js
+const PENDING_CACHE = 'dreams-and-poems-pending-v1'; // Downloaded clips that haven't played yet
+const MAX_CACHED_VIDEOS = 12;
+const MAX_PENDING_VIDEOS = 4; // Enough for the preload queue
+const PLAYED_AT_KEY = 'played-at.json'; // Kept in VIDEO_CACHE: when each cached clip last played
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icon-192x192.png',
+    'icon-512x512.png',
+    'video-catalog.js',
+    'video-urls.js',
+    'video-preloader.js',
+    'video-history.js',
+    'video-captions.js',
+    'video-offline.js',
+    'video-input.js',
+    'video-kiosk.js',
+    'video-analytics.js'
+];
+
+// Clips whose download is being recorded -> promise settling once it is in the pending cache
+const recordings = new Map();
+
+// Clip hosts that refused a CORS request, so their downloads can't be recorded
+const corsBlockedOrigins = new Set();
+
+// Serialises updates of the play times
+let playedAtUpdate = Promise.resolve();
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => ![SHELL_CACHE, VIDEO_CACHE, PENDING_CACHE].includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.pathname.endsWith('.mp4')) {
+        event.respondWith(videoResponse(event));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(shellResponse(request));
+    }
+});
+
+// App shell: network first, falling back to the cached copy when offline
+async function shellResponse(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// The page reports each clip that starts playing: keep it (and mark it as just played)
+self.addEventListener('message', (event) => {
+    const { type, url } = event.data || {};
+    if (type === 'clip-started' && typeof url === 'string') event.waitUntil(keepPlayedVideo(url));
+});
+
+// Videos: serve cached clips (honouring Range), otherwise fetch them, recording full downloads
+async function videoResponse(event) {
+    const request = event.request;
+    const cache = await caches.open(VIDEO_CACHE);
+    const cached = await cache.match(request.url);
+
+    if (cached) {
+        return rangeResponse(cached, request.headers.get('range'));
+    }
+
+    // Only a download of the whole file can be recorded; seeks and later ranges go straight to the network
+    const range = request.headers.get('range');
+    const origin = new URL(request.url).origin;
+    if ((range && !/^bytes=0-$/.test(range.trim())) || recordings.has(request.url) || corsBlockedOrigins.has(origin)) {
+        return fetch(request);
+    }
+
+    let response;
+    try {
+        // Whole file, readable (CORS) so it can be stored and sliced for Range requests later
+        response = await fetch(request.url, { mode: 'cors' });
+    } catch (error) {
+        // The plain request still working means the network is fine but the host doesn't allow CORS
+        const plain = await fetch(request);
+        corsBlockedOrigins.add(origin);
+        notifyClients(`${origin} sends no CORS headers - its clips can't be cached for offline play`);
+        return plain;
+    }
+
+    if (response.status !== 200 || !response.body) return response;
+    return recordVideo(event, request.url, response);
+}
+
+// Pass `response` through to the page while copying it into the pending cache.
+// When the page drops the request (e.g. a preloaded clip is released), the download stops and nothing is kept.
+function recordVideo(event, url, response) {
+    const reader = response.body.getReader();
+    const headers = {
+        'Content-Type': response.headers.get('Content-Type') || 'video/mp4',
+        'Accept-Ranges': 'bytes'
+    };
+    if (response.headers.get('Content-Length')) headers['Content-Length'] = response.headers.get('Content-Length');
+
+    let copy;
+    const copyBody = new ReadableStream({ start(controller) { copy = controller; } });
+
+    const recording = caches.open(PENDING_CACHE)
+        .then(cache => cache.put(url, new Response(copyBody, { headers }))
+            .then(() => trimCache(cache, MAX_PENDING_VIDEOS)))
+        .catch(error => {
+            console.log(`Not caching ${url.split('/').pop()}: ${error.message}`);
+            if (error.name === 'QuotaExceededError') notifyClients(`Video cache is full: ${error.message}`);
+            throw error;
+        })
+        .finally(() => recordings.delete(url));
+
+    recording.catch(() => {});
+    recordings.set(url, recording);
+    event.waitUntil(recording.catch(() => {}));
+
+    const body = new ReadableStream({
+        async pull(controller) {
+            try {
+                const { done, value } = await reader.read();
+                if (done) {
+                    controller.close();
+                    copy.close();
+                } else {
+                    controller.enqueue(value);
+                    copy.enqueue(value);
+                }
+            } catch (error) {
+                controller.error(error);
+                copy.error(error);
+            }
+        },
+        cancel(reason) {
+            copy.error(new Error('download abandoned by the page'));
+            return reader.cancel(reason);
+        }
+    });
+
+    return new Response(body, { status: 200, headers });
+}
+
+// A clip started playing: move it from the pending cache (waiting for its download if needed) and
+// record when it played, evicting the clips played longest ago
+async function keepPlayedVideo(url) {
+    const videos = await caches.open(VIDEO_CACHE);
+
+    if (!(await videos.match(url))) {
+        // The first clip usually starts playing while it is still downloading
+        await (recordings.get(url) || Promise.resolve()).catch(() => {});
+
+        const pending = await caches.open(PENDING_CACHE);
+        const response = await pending.match(url);
+        if (!response) return;
+
+        await videos.put(url, response);
+        await pending.delete(url);
+        console.log(`Cached ${url.split('/').pop()} for offline play`);
+    }
+
+    playedAtUpdate = playedAtUpdate.then(() => markPlayed(videos, url)).catch(error => {
+        console.log(`Could not update the video cache: ${error.message}`);
+    });
+    return playedAtUpdate;
+}
+
+// Store the play time of `url` and drop the clips played longest ago beyond MAX_CACHED_VIDEOS
+async function markPlayed(cache, url) {
+    const stored = await cache.match(PLAYED_AT_KEY);
+    const playedAt = stored ? await stored.json() : {};
+    const playedAtUrl = new URL(PLAYED_AT_KEY, self.location.href).href;
+
+    playedAt[url] = Date.now();
+
+    const cachedUrls = (await cache.keys()).map(request => request.url).filter(key => key !== playedAtUrl);
+    cachedUrls.sort((a, b) => (playedAt[a] || 0) - (playedAt[b] || 0));
+    const evicted = cachedUrls.slice(0, Math.max(0, cachedUrls.length - MAX_CACHED_VIDEOS));
+    await Promise.all(evicted.map(key => cache.delete(key)));
+
+    const kept = {};
+    cachedUrls.filter(key => !evicted.includes(key)).forEach(key => { kept[key] = playedAt[key] || 0; });
+    await cache.put(PLAYED_AT_KEY, new Response(JSON.stringify(kept), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+// Keep only the `max` most recently added entries of `cache`
+async function trimCache(cache, max) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key)));
+}
+
+// Tell the open pages about a problem with the video cache
+async function notifyClients(message) {
+    console.log(message);
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'video-cache-problem', message }));
+}
+
+// Build a 206 Partial Content response for `range` (e.g. "bytes=1000-") from a full cached response
+async function rangeResponse(response, range) {
+    const headers = {
+        'Content-Type': response.headers.get('Content-Type') || 'video/mp4',
+        'Accept-Ranges': 'bytes'
+    };
+    const blob = await response.blob();
+
+    if (!range) {
+        return new Response(blob, { status: 200, headers: { ...headers, 'Content-Length': String(blob.size) } });
+    }
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+    let start = NaN;
+    let end = blob.size - 1;
+
+    if (match && match[1] !== '') {
+        start = Number(match[1]);
+        if (match[2] !== '') end = Math.min(Number(match[2]), blob.size - 1);
+    } else if (match && match[2] !== '') {
+        // Suffix range: the last N bytes
+        start = Math.max(0, blob.size - Number(match[2]));
+    }
+
+    if (Number.isNaN(start) || start >= blob.size || start > end) {
+        return new Response(null, {
+            status: 416,
+            statusText: 'Range Not Satisfiable',
+            headers: { 'Content-Range': `bytes */${blob.size}` }
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            ...headers,
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Content-Length': String(end - start + 1)
+        }
+    });
+}
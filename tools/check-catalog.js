@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * Dreams and Poems - Catalog Health Check
+ * Loads video-catalog.js and video-urls.js the way the page does and runs
+ * VIDEO_URL_VALIDATOR over every desktop and mobile URL: format, reachability
+ * (HEAD, rate limited), content-type and size, plus horizontal/vertical pairing.
+ *
+ * Usage: node tools/check-catalog.js [options]
+ *   --base-url <url>  Request clips from another host instead of the CDN, keeping the
+ *                     folder layout (e.g. http://127.0.0.1:8080/ serves Desktop/ and Mobile/)
+ *   --json <file>     Also write the JSON report to <file>; '-' prints it instead of the text report
+ *   --batch <n>       URLs tested at once (default 5)
+ *   --delay <ms>      Pause between batches (default 1000)
+ *   --max-size <MB>   Warn about clips larger than this (default 100)
+ *
+ * Exits 0 when every URL is healthy, 1 when there are failures, 2 on bad usage.
+ * Needs Node 18 or later (global fetch). tools/test-check-catalog.js runs it
+ * against a local stub server.
+ *
+ * @author Carlos Escobar
+ * @description Command-line report of broken or unpaired catalog clips
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+const OPTIONS = {
+    '--base-url': { key: 'baseUrl', parse: String },
+    '--json': { key: 'json', parse: String },
+    '--batch': { key: 'batch', parse: Number },
+    '--delay': { key: 'delay', parse: Number },
+    '--max-size': { key: 'maxSize', parse: Number }
+};
+
+function parseArgs(argv) {
+    const args = { baseUrl: null, json: null, batch: 5, delay: 1000, maxSize: 100 };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const option = OPTIONS[argv[i]];
+        const value = argv[i + 1];
+
+        if (!option || value === undefined) throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        args[option.key] = option.parse(value);
+        if (typeof args[option.key] === 'number' && !(args[option.key] >= 0)) {
+            throw new Error(`${argv[i]} needs a non-negative number`);
+        }
+    }
+
+    if (!Number.isInteger(args.batch) || args.batch < 1) throw new Error('--batch needs a whole number of at least 1');
+
+    if (args.baseUrl && !args.baseUrl.endsWith('/')) args.baseUrl += '/';
+    return args;
+}
+
+// Run the browser scripts in a sandbox that stands in for `window`
+function loadScripts(baseUrl) {
+    const sandbox = {
+        console: { log() {}, group() {}, groupEnd() {}, warn() {}, error: console.error },
+        fetch,
+        URL,
+        setTimeout,
+        clearTimeout
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    const run = (file) => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+
+    run('video-catalog.js');
+    run('video-urls.js');
+
+    // Same clips, requested from the stand-in host when there is one
+    const loader = sandbox.VIDEO_CATALOG_LOADER;
+    const catalog = baseUrl
+        ? { ...sandbox.VIDEO_CATALOG, baseUrls: loader.rebaseUrls(sandbox.VIDEO_CATALOG.baseUrls, baseUrl) }
+        : sandbox.VIDEO_CATALOG;
+
+    return {
+        catalog,
+        loader,
+        validator: sandbox.VIDEO_URL_VALIDATOR,
+        testedLists: loader.buildPlayLists(catalog),
+        publishedLists: sandbox.VIDEO_URLS
+    };
+}
+
+// Clips with only one rendition, and pairs whose file names don't match
+function checkPairing(clips) {
+    const pairing = { missingVertical: [], missingHorizontal: [], mismatched: [] };
+
+    clips.forEach(({ id, renditions }) => {
+        if (!renditions.vertical) pairing.missingVertical.push(id);
+        else if (!renditions.horizontal) pairing.missingHorizontal.push(id);
+        else if (renditions.horizontal.replace('_hor_', '_ver_') !== renditions.vertical) pairing.mismatched.push(id);
+    });
+
+    return pairing;
+}
+
+async function checkCatalog(args) {
+    const { catalog, loader, validator, testedLists, publishedLists } = loadScripts(args.baseUrl);
+    const validation = loader.validate(catalog);
+    const maxBytes = args.maxSize * 1024 * 1024;
+
+    const entries = [];
+    Object.keys(testedLists).forEach(list => {
+        testedLists[list].forEach((url, index) => {
+            const published = publishedLists[list][index];
+            const clip = loader.findClipByUrl(catalog, url);
+            entries.push({ list, clip: clip ? clip.id : null, url, published, problems: [], warnings: [] });
+        });
+    });
+
+    entries.forEach(entry => {
+        if (!validator.isValidUrl(entry.published)) entry.problems.push('invalid URL format (expected https .mp4)');
+    });
+
+    const results = await validator.testBatch(entries.map(entry => entry.url), args.batch, args.delay);
+    const byUrl = new Map(results.map(result => [result.url, result]));
+
+    entries.forEach(entry => {
+        const result = byUrl.get(entry.url) || { valid: false, status: null, message: 'not tested' };
+        entry.status = result.status;
+        entry.contentType = result.contentType || null;
+        entry.size = result.size === undefined ? null : result.size;
+
+        if (!result.valid) {
+            entry.problems.push(result.message || 'unreachable');
+            return;
+        }
+
+        if (!entry.contentType || !entry.contentType.startsWith('video/mp4')) {
+            entry.problems.push(`unexpected content-type "${entry.contentType || 'none'}"`);
+        }
+        if (entry.size === 0) {
+            entry.problems.push('empty file');
+        } else if (entry.size === null) {
+            entry.warnings.push('size unknown (no content-length)');
+        } else if (entry.size > maxBytes) {
+            entry.warnings.push(`larger than ${args.maxSize} MB`);
+        }
+    });
+
+    const failed = entries.filter(entry => entry.problems.length > 0);
+    const pairing = checkPairing(validation.clips);
+
+    return {
+        checkedAt: new Date().toISOString(),
+        baseUrl: args.baseUrl,
+        catalog: {
+            clips: catalog.clips.length,
+            errors: validation.errors,
+            untagged: validation.untagged
+        },
+        summary: {
+            desktop: testedLists.desktop.length,
+            mobile: testedLists.mobile.length,
+            checked: entries.length,
+            ok: entries.length - failed.length,
+            failed: failed.length,
+            warnings: entries.filter(entry => entry.warnings.length > 0).length
+        },
+        pairing,
+        failures: failed,
+        warnings: entries.filter(entry => entry.warnings.length > 0 && entry.problems.length === 0),
+        healthy: failed.length === 0 && validation.errors.length === 0
+    };
+}
+
+function formatReport(report) {
+    const fileName = (url) => url.split('/').pop();
+    const lines = [
+        'Dreams and Poems catalog health check',
+        `  Checked:   ${report.summary.checked} URLs (${report.summary.desktop} desktop, ${report.summary.mobile} mobile)` +
+            (report.baseUrl ? ` via ${report.baseUrl}` : ''),
+        `  OK:        ${report.summary.ok}`,
+        `  Failed:    ${report.summary.failed}`,
+        `  Warnings:  ${report.summary.warnings}`,
+        `  Pairing:   ${report.pairing.missingVertical.length} without vertical, ` +
+            `${report.pairing.missingHorizontal.length} without horizontal, ${report.pairing.mismatched.length} mismatched`,
+        `  Untagged:  ${report.catalog.untagged.length} of ${report.catalog.clips} clips have no category`
+    ];
+
+    if (report.catalog.errors.length > 0) {
+        lines.push('', 'Catalog errors:');
+        report.catalog.errors.forEach(error => lines.push(`  ✗ ${error}`));
+    }
+
+    if (report.failures.length > 0) {
+        lines.push('', 'Failures:');
+        report.failures.forEach(entry => lines.push(`  ✗ [${entry.list}] ${fileName(entry.url)}: ${entry.problems.join('; ')}`));
+    }
+
+    if (report.warnings.length > 0) {
+        lines.push('', 'Warnings:');
+        report.warnings.forEach(entry => lines.push(`  ! [${entry.list}] ${fileName(entry.url)}: ${entry.warnings.join('; ')}`));
+    }
+
+    if (report.pairing.missingVertical.length > 0) {
+        lines.push('', `Horizontal clips without a vertical twin: ${report.pairing.missingVertical.join(', ')}`);
+    }
+    if (report.pairing.missingHorizontal.length > 0) {
+        lines.push('', `Vertical clips without a horizontal twin: ${report.pairing.missingHorizontal.join(', ')}`);
+    }
+    if (report.pairing.mismatched.length > 0) {
+        lines.push('', `Pairs with mismatched file names: ${report.pairing.mismatched.join(', ')}`);
+    }
+
+    lines.push('', report.healthy ? 'Result: OK' : 'Result: FAILED');
+    return lines.join('\n');
+}
+
+async function main() {
+    if (typeof fetch !== 'function') {
+        console.error(`Node 18 or later is needed (global fetch); this is ${process.version}`);
+        process.exit(2);
+    }
+
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node tools/check-catalog.js [--base-url <url>] [--json <file>|-] [--batch <n>] [--delay <ms>] [--max-size <MB>]');
+        process.exit(2);
+    }
+
+    const report = await checkCatalog(args);
+    const json = JSON.stringify(report, null, 2);
+
+    if (args.json === '-') {
+        console.log(json);
+    } else {
+        console.log(formatReport(report));
+        if (args.json) fs.writeFileSync(args.json, json + '\n');
+    }
+
+    process.exit(report.healthy ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('Health check failed to run:', error);
+    process.exit(1);
+});
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Dreams and Poems - Mock Analytics Endpoint
+ * Local stand-in for the analytics beacon endpoint. Accepts event batches on
+ * POST /collect, prints them, and returns everything received on GET /events.
+ *
+ * Usage: node tools/mock-analytics-server.js [--port 9090]
+ * Then open the player from a local server with ?analytics=http://localhost:9090/collect
+ * (the parameter is ignored anywhere but localhost/127.0.0.1), or point
+ * VIDEO_CONFIG.analytics.endpoint at it
+ *
+ * @author Carlos Escobar
+ * @description Beacon endpoint for trying out VIDEO_ANALYTICS locally
+ */
+
+'use strict';
+
+const http = require('http');
+
+const portIndex = process.argv.indexOf('--port');
+const port = portIndex === -1 ? 9090 : Number(process.argv[portIndex + 1]);
+
+const received = [];
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+const server = http.createServer((request, response) => {
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        response.end();
+        return;
+    }
+
+    if (request.method === 'GET' && request.url === '/events') {
+        response.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(received));
+        return;
+    }
+
+    if (request.method === 'POST' && request.url === '/collect') {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            try {
+                const { events } = JSON.parse(body);
+                received.push(...events);
+                events.forEach(event => console.log(`📈 ${event.time} ${event.type} ${event.clip || ''}${event.dwell !== undefined ? ` (${event.dwell}s)` : ''}`));
+                response.writeHead(204, CORS_HEADERS);
+            } catch (error) {
+                console.error('Bad batch:', error.message);
+                response.writeHead(400, CORS_HEADERS);
+            }
+            response.end();
+        });
+        return;
+    }
+
+    response.writeHead(404, CORS_HEADERS);
+    response.end();
+});
+
+server.listen(port, () => {
+    console.log(`Mock analytics endpoint on http://localhost:${port}/collect (received events: GET /events)`);
+});
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Dreams and Poems - Catalog Health Check Self-Test
+ * Starts a local stand-in for the clip host, runs tools/check-catalog.js
+ * against it and checks the exit codes and the JSON report: a healthy host,
+ * one with missing clips and wrong content types, and bad usage.
+ *
+ * Usage: node tools/test-check-catalog.js   (Node 18 or later)
+ *
+ * @author Carlos Escobar
+ * @description Runnable check of the catalog health check against a stub server
+ */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const CHECK_CATALOG = path.join(__dirname, 'check-catalog.js');
+
+// Clips the stub answers badly when `broken` is on: file name -> [status, content-type]
+const BROKEN_CLIPS = {
+    'escob.art_hor_0003.mp4': [404, 'text/plain'],
+    'escob.art_ver_0010.mp4': [404, 'text/plain'],
+    'escob.art_ver_0100.mp4': [200, 'text/html']
+};
+
+// Stand-in clip host serving Desktop/ and Mobile/ like the CDN
+function startStub(broken) {
+    const server = http.createServer((request, response) => {
+        const file = request.url.split('/').pop();
+        const [status, contentType] = (broken && BROKEN_CLIPS[file]) || [200, 'video/mp4'];
+        const inFolder = /^\/(Desktop|Mobile)\/[^/]+\.mp4$/.test(request.url);
+
+        response.writeHead(inFolder ? status : 404, { 'Content-Type': contentType, 'Content-Length': '1048576' });
+        response.end();
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Run the health check, resolving with its exit code and output
+function runCheck(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CHECK_CATALOG, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+async function checkAgainstStub(broken) {
+    const server = await startStub(broken);
+    const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+
+    try {
+        const { code, stdout } = await runCheck(['--base-url', baseUrl, '--json', '-', '--batch', '20', '--delay', '0']);
+        return { code, report: JSON.parse(stdout) };
+    } finally {
+        server.close();
+    }
+}
+
+const TESTS = {
+    async 'healthy host exits 0'() {
+        const { code, report } = await checkAgainstStub(false);
+
+        assert.strictEqual(code, 0);
+        assert.strictEqual(report.healthy, true);
+        assert.deepStrictEqual(report.summary, { desktop: 57, mobile: 177, checked: 234, ok: 234, failed: 0, warnings: 0 });
+        assert.strictEqual(report.pairing.missingHorizontal.length, 120);
+        assert.strictEqual(report.pairing.mismatched.length, 0);
+    },
+
+    async 'missing clips and wrong content types exit 1'() {
+        const { code, report } = await checkAgainstStub(true);
+
+        assert.strictEqual(code, 1);
+        assert.strictEqual(report.healthy, false);
+        assert.strictEqual(report.summary.failed, 3);
+
+        const failures = Object.fromEntries(report.failures.map(entry => [entry.url.split('/').pop(), entry]));
+        assert.deepStrictEqual(Object.keys(failures).sort(), Object.keys(BROKEN_CLIPS).sort());
+        assert.strictEqual(failures['escob.art_hor_0003.mp4'].list, 'desktop');
+        assert.strictEqual(failures['escob.art_hor_0003.mp4'].status, 404);
+        assert.strictEqual(failures['escob.art_ver_0100.mp4'].problems[0], 'unexpected content-type "text/html"');
+
+        // Failures list the published CDN URL alongside the one tested
+        assert.ok(failures['escob.art_ver_0010.mp4'].published.startsWith('https://'));
+    },
+
+    async 'bad usage exits 2'() {
+        const { code, stderr } = await runCheck(['--batch']);
+
+        assert.strictEqual(code, 2);
+        assert.match(stderr, /Usage:/);
+    },
+
+    async 'batch sizes below 1 or fractional exit 2'() {
+        for (const batch of ['0', '1.5', '-1']) {
+            const { code, stderr } = await runCheck(['--batch', batch, '--delay', '0', '--base-url', 'http://127.0.0.1:9/']);
+
+            assert.strictEqual(code, 2, `--batch ${batch}`);
+            assert.match(stderr, /--batch/);
+        }
+    }
+};
+
+async function main() {
+    let failed = 0;
+
+    for (const [name, test] of Object.entries(TESTS)) {
+        try {
+            await test();
+            console.log(`✓ ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`✗ ${name}\n  ${error.message}`);
+        }
+    }
+
+    console.log(failed === 0 ? 'All health check tests passed' : `${failed} health check test(s) failed`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,249 @@
+/**
+ * Dreams and Poems - Viewing Analytics
+ * Records which dreams are started, watched through, skipped or unmuted, when
+ * the info panel or an external link is opened, and video load errors, with
+ * how long each clip stayed on screen. Events are sent in batches to a
+ * pluggable sink (a beacon endpoint by default) and kept in localStorage while
+ * offline. Per-clip totals stay on this device for the #device-info viewer.
+ *
+ * @author Carlos Escobar
+ * @description Event tracking with batched delivery and local per-clip stats
+ */
+
+window.VIDEO_ANALYTICS = {
+    queueKey: 'dreams-and-poems:analytics-queue',
+    statsKey: 'dreams-and-poems:clip-stats',
+    sink: null,
+    queue: [],
+    session: Math.random().toString(36).slice(2, 10),
+    current: null,           // { clip, url, startedAt, watched }
+    lastTime: 0,
+    getVideo: null,
+
+    // Ready-made sinks: anything with send(events) returning (a promise of) true on delivery works
+    sinks: {
+        // POST batches to `endpoint` with navigator.sendBeacon (fetch keepalive as fallback)
+        beacon(endpoint) {
+            return {
+                name: `beacon ${endpoint}`,
+                send(events) {
+                    // JSON sent as text/plain so cross-origin endpoints need no CORS preflight
+                    const body = JSON.stringify({ events });
+
+                    if (navigator.sendBeacon) {
+                        return navigator.sendBeacon(endpoint, new Blob([body], { type: 'text/plain' }));
+                    }
+
+                    return fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } })
+                        .then(response => response.ok, () => false);
+                }
+            };
+        },
+
+        // Keep batches in memory - for trying things out from the console
+        memory() {
+            return {
+                name: 'memory',
+                sent: [],
+                send(events) {
+                    this.sent.push(...events);
+                    return true;
+                }
+            };
+        }
+    },
+
+    // Start tracking; `getVideo()` returns the visible <video>
+    init(getVideo) {
+        const config = VIDEO_CONFIG.analytics;
+        // ?analytics=<endpoint>|memory is for local testing only - a shared link mustn't send viewing events elsewhere
+        const isLocal = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+        const endpoint = (isLocal && new URLSearchParams(window.location.search).get('analytics')) || config.endpoint;
+
+        this.getVideo = getVideo;
+        this.queue = this.loadStored();
+        if (endpoint) this.setSink(endpoint === 'memory' ? this.sinks.memory() : this.sinks.beacon(endpoint));
+
+        // Looping clips never fire 'ended' - a jump from the end back to the start counts as watched through
+        document.addEventListener('timeupdate', (e) => this.onTimeUpdate(e), true);
+        document.addEventListener('ended', (e) => {
+            if (e.target === this.getVideo()) this.clipWatched();
+        }, true);
+
+        VIDEO_ERROR_HANDLER.onError = (url, error, statusCode) => {
+            this.track('load_error', {
+                clip: url.split('/').pop().split('?')[0],
+                message: error.message || error.name || 'Unknown error',
+                status: statusCode
+            });
+        };
+
+        setInterval(() => this.flush(), config.flushInterval);
+        window.addEventListener('online', () => this.flush());
+        window.addEventListener('pagehide', () => {
+            this.clipLeft();
+            this.flush();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.flush();
+        });
+
+        console.log(`📈 Analytics ready - sink: ${this.sink ? this.sink.name : 'none (local only)'}, ${this.queue.length} stored event(s)`);
+    },
+
+    // Replace where batches are delivered
+    setSink(sink) {
+        this.sink = sink;
+        this.flush();
+    },
+
+    track(type, data = {}) {
+        this.queue.push({
+            type,
+            clip: this.current ? this.current.clip : null,
+            ...data,
+            session: this.session,
+            time: new Date().toISOString()
+        });
+        this.updateStats(type, data.clip || (this.current && this.current.clip), data);
+
+        if (this.queue.length >= VIDEO_CONFIG.analytics.batchSize) this.flush();
+    },
+
+    // A clip is now on screen; `skipped` when the visitor moved on from the previous one.
+    // Reloading the clip already on screen (stall recovery, returning to the page) is not a new play.
+    clipStarted(url, { skipped = false } = {}) {
+        if (this.current && this.current.url === url) return;
+
+        if (skipped) this.clipSkipped();
+        this.clipLeft();
+
+        this.current = { clip: url.split('/').pop().split('?')[0], url, startedAt: Date.now(), watched: false };
+        this.lastTime = 0;
+        this.track('clip_started');
+    },
+
+    // The visitor moved on before the current clip came round to its end
+    clipSkipped() {
+        if (!this.current || this.current.watched) return;
+        this.track('clip_skipped', { dwell: this.dwell() });
+    },
+
+    clipWatched() {
+        if (!this.current || this.current.watched) return;
+        this.current.watched = true;
+        this.track('clip_watched', { dwell: this.dwell() });
+    },
+
+    // The current clip leaves the screen: add its time on screen to the local totals
+    clipLeft() {
+        if (!this.current) return;
+        this.updateStats('dwell', this.current.clip, { dwell: this.dwell() });
+        this.current = null;
+    },
+
+    // Seconds the current clip has been on screen
+    dwell() {
+        return this.current ? Math.round((Date.now() - this.current.startedAt) / 100) / 10 : 0;
+    },
+
+    onTimeUpdate(e) {
+        const video = e.target;
+        if (video !== this.getVideo() || !this.current) return;
+
+        if (Number.isFinite(video.duration) && this.lastTime > video.duration - 1.5 && video.currentTime < this.lastTime - 1) {
+            this.clipWatched();
+        }
+        this.lastTime = video.currentTime;
+    },
+
+    // Hand queued events to the sink, keeping them in localStorage when that isn't possible
+    async flush() {
+        if (this.queue.length === 0) return;
+
+        if (!this.sink || navigator.onLine === false) {
+            this.store();
+            return;
+        }
+
+        const batch = this.queue.splice(0, VIDEO_CONFIG.analytics.batchSize);
+        let delivered = false;
+
+        try {
+            delivered = await this.sink.send(batch);
+        } catch (error) {
+            console.log('Analytics delivery failed:', error.message);
+        }
+
+        if (!delivered) this.queue.unshift(...batch);
+        this.store();
+
+        if (delivered && this.queue.length > 0) this.flush();
+    },
+
+    loadStored() {
+        try {
+            return JSON.parse(localStorage.getItem(this.queueKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    // Keep the newest `maxStored` events, in memory and in localStorage
+    store() {
+        this.queue = this.queue.slice(-VIDEO_CONFIG.analytics.maxStored);
+
+        try {
+            localStorage.setItem(this.queueKey, JSON.stringify(this.queue));
+        } catch (error) {
+            console.log('Could not store analytics events:', error.message);
+        }
+    },
+
+    // Per-clip totals kept on this device
+    getStats() {
+        try {
+            return JSON.parse(localStorage.getItem(this.statsKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    },
+
+    updateStats(type, clip, data) {
+        const counters = {
+            clip_started: 'plays',
+            clip_watched: 'watched',
+            clip_skipped: 'skipped',
+            unmuted: 'unmuted',
+            load_error: 'errors'
+        };
+        if (!clip || !(type in counters || type === 'dwell')) return;
+
+        const stats = this.getStats();
+        const entry = stats[clip] || (stats[clip] = { plays: 0, watched: 0, skipped: 0, unmuted: 0, errors: 0, dwell: 0 });
+
+        if (type === 'dwell') {
+            entry.dwell = Math.round((entry.dwell + data.dwell) * 10) / 10;
+        } else {
+            entry[counters[type]]++;
+        }
+
+        try {
+            localStorage.setItem(this.statsKey, JSON.stringify(stats));
+        } catch (error) {
+            console.log('Could not save clip stats:', error.message);
+        }
+    },
+
+    // One-line summary of a clip's totals for the info panel
+    describeClip(clip) {
+        const entry = this.getStats()[clip];
+        if (!entry) return 'Stats: none yet';
+
+        const average = entry.plays > 0 ? Math.round(entry.dwell / entry.plays) : 0;
+        return `Stats: ${entry.plays} plays · ${entry.watched} watched · ${entry.skipped} skipped · ` +
+            `${entry.unmuted} unmuted · ${entry.errors} errors · avg ${average}s`;
+    }
+};
+
+console.log('📈 Viewing analytics loaded');
@@ -0,0 +1,109 @@
+/**
+ * Dreams and Poems - Poem Captions
+ * Loads each clip's WebVTT captions into a hidden text track and renders the
+ * active cues in an overlay above the video pair, so the poem is readable
+ * whether or not sound is on. Clips with a poem but no captions file show
+ * the whole poem for the length of the clip.
+ *
+ * The catalog has no poems or captions files yet: until they are added the
+ * overlay has nothing to show.
+ *
+ * @author Carlos Escobar
+ * @description Caption overlay that follows the active video through crossfades
+ */
+
+window.VIDEO_CAPTIONS = {
+    storageKey: 'dreams-and-poems:captions',
+    enabled: true,
+    overlay: null,
+    followedTrack: null,
+    followedElement: null,
+    poems: new WeakMap(), // video element -> poem text used when there is no captions file
+
+    // Bind to the overlay element and restore the visitor's on/off preference
+    init(overlay) {
+        this.overlay = overlay;
+        this.render = this.render.bind(this);
+
+        try {
+            this.enabled = localStorage.getItem(this.storageKey) !== 'off';
+        } catch (error) {
+            console.log('Captions preference unavailable:', error.message);
+        }
+    },
+
+    // Give `element` the captions of the clip at `url` (replacing any it had)
+    attach(element, url) {
+        element.querySelectorAll('track').forEach(track => track.remove());
+        this.poems.delete(element);
+
+        const clip = VIDEO_CATALOG_LOADER.findClipByUrl(window.VIDEO_CATALOG, url);
+        if (!clip) return;
+
+        const captionsUrl = VIDEO_CATALOG_LOADER.resolveCaptionsUrl(window.VIDEO_CATALOG, clip);
+        if (captionsUrl) {
+            const track = document.createElement('track');
+            track.kind = 'captions';
+            track.label = clip.title || clip.id;
+            track.srclang = 'en';
+            track.src = captionsUrl;
+            track.addEventListener('error', () => console.log(`Captions failed to load: ${captionsUrl}`));
+            element.appendChild(track);
+
+            // Hidden: cues are loaded and timed by the browser but drawn by our overlay
+            track.track.mode = 'hidden';
+        } else if (clip.poem) {
+            this.poems.set(element, clip.poem);
+        }
+    },
+
+    // Show the captions of `element` from now on (called when it becomes the visible video)
+    follow(element) {
+        if (this.followedTrack) this.followedTrack.removeEventListener('cuechange', this.render);
+
+        const track = element.querySelector('track');
+        this.followedElement = element;
+        this.followedTrack = track ? track.track : null;
+
+        if (this.followedTrack) this.followedTrack.addEventListener('cuechange', this.render);
+        this.render();
+    },
+
+    // Text to show right now for the followed video
+    currentText() {
+        if (!this.followedElement) return '';
+
+        if (this.followedTrack) {
+            // Cue markup (<i>, <b>, voice tags) is dropped - the overlay shows plain text
+            return Array.from(this.followedTrack.activeCues || [])
+                .map(cue => cue.text.replace(/<[^>]*>/g, ''))
+                .join('\n');
+        }
+
+        return this.poems.get(this.followedElement) || '';
+    },
+
+    render() {
+        if (!this.overlay) return;
+
+        const text = this.enabled ? this.currentText() : '';
+        this.overlay.textContent = text;
+        this.overlay.classList.toggle('show', text.length > 0);
+    },
+
+    // Turn captions on or off, remembering the choice; returns the new state
+    toggle() {
+        this.enabled = !this.enabled;
+
+        try {
+            localStorage.setItem(this.storageKey, this.enabled ? 'on' : 'off');
+        } catch (error) {
+            console.log('Could not save captions preference:', error.message);
+        }
+
+        this.render();
+        return this.enabled;
+    }
+};
+
+console.log('💬 Poem captions loaded');
@@ -0,0 +1,207 @@
+/**
+ * Dreams and Poems - Video Catalog
+ * One entry per piece with its horizontal (desktop) and vertical (mobile) renditions.
+ *
+ * Entry fields:
+ *   id          - unique clip id (escob.art_NNNN)
+ *   title       - optional display title (the id is shown when missing)
+ *   category    - optional, one of VIDEO_METADATA.categories (dreams, poems, mixed);
+ *                 untagged clips play in the full lists only and are reported by the loader
+ *   duration    - optional length in seconds
+ *   poem        - optional poem text shown with the piece
+ *   captions    - optional WebVTT file (relative to baseUrls.captions) timing the poem over the clip
+ *   renditions  - file names relative to baseUrls; null when a rendition does not exist
+ *
+ * @author Carlos Escobar
+ * @description Structured catalog from which the desktop and mobile play lists are derived
+ */
+
+window.VIDEO_CATALOG = {
+    version: 1,
+    baseUrls: {
+        horizontal: 'https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/',
+        vertical: 'https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/',
+        captions: 'captions/'
+    },
+    // No clip carries a category yet - until they are tagged, ?category= and the kiosk schedule play the full lists.
+    // No clip has a poem or captions file either (captions/ does not exist yet), so the captions overlay stays empty.
+    clips: [
+        { id: 'escob.art_0001', renditions: { horizontal: 'escob.art_hor_0001.mp4', vertical: 'escob.art_ver_0001.mp4' } },
+        { id: 'escob.art_0002', renditions: { horizontal: 'escob.art_hor_0002.mp4', vertical: 'escob.art_ver_0002.mp4' } },
+        { id: 'escob.art_0003', renditions: { horizontal: 'escob.art_hor_0003.mp4', vertical: 'escob.art_ver_0003.mp4' } },
+        { id: 'escob.art_0004', renditions: { horizontal: 'escob.art_hor_0004.mp4', vertical: 'escob.art_ver_0004.mp4' } },
+        { id: 'escob.art_0005', renditions: { horizontal: 'escob.art_hor_0005.mp4', vertical: 'escob.art_ver_0005.mp4' } },
+        { id: 'escob.art_0006', renditions: { horizontal: 'escob.art_hor_0006.mp4', vertical: 'escob.art_ver_0006.mp4' } },
+        { id: 'escob.art_0007', renditions: { horizontal: 'escob.art_hor_0007.mp4', vertical: 'escob.art_ver_0007.mp4' } },
+        { id: 'escob.art_0008', renditions: { horizontal: 'escob.art_hor_0008.mp4', vertical: 'escob.art_ver_0008.mp4' } },
+        { id: 'escob.art_0009', renditions: { horizontal: 'escob.art_hor_0009.mp4', vertical: 'escob.art_ver_0009.mp4' } },
+        { id: 'escob.art_0010', renditions: { horizontal: 'escob.art_hor_0010.mp4', vertical: 'escob.art_ver_0010.mp4' } },
+        { id: 'escob.art_0011', renditions: { horizontal: 'escob.art_hor_0011.mp4', vertical: 'escob.art_ver_0011.mp4' } },
+        { id: 'escob.art_0012', renditions: { horizontal: 'escob.art_hor_0012.mp4', vertical: 'escob.art_ver_0012.mp4' } },
+        { id: 'escob.art_0013', renditions: { horizontal: 'escob.art_hor_0013.mp4', vertical: 'escob.art_ver_0013.mp4' } },
+        { id: 'escob.art_0014', renditions: { horizontal: 'escob.art_hor_0014.mp4', vertical: 'escob.art_ver_0014.mp4' } },
+        { id: 'escob.art_0015', renditions: { horizontal: 'escob.art_hor_0015.mp4', vertical: 'escob.art_ver_0015.mp4' } },
+        { id: 'escob.art_0016', renditions: { horizontal: 'escob.art_hor_0016.mp4', vertical: 'escob.art_ver_0016.mp4' } },
+        { id: 'escob.art_0017', renditions: { horizontal: 'escob.art_hor_0017.mp4', vertical: 'escob.art_ver_0017.mp4' } },
+        { id: 'escob.art_0018', renditions: { horizontal: 'escob.art_hor_0018.mp4', vertical: 'escob.art_ver_0018.mp4' } },
+        { id: 'escob.art_0019', renditions: { horizontal: 'escob.art_hor_0019.mp4', vertical: 'escob.art_ver_0019.mp4' } },
+        { id: 'escob.art_0020', renditions: { horizontal: 'escob.art_hor_0020.mp4', vertical: 'escob.art_ver_0020.mp4' } },
+        { id: 'escob.art_0021', renditions: { horizontal: 'escob.art_hor_0021.mp4', vertical: 'escob.art_ver_0021.mp4' } },
+        { id: 'escob.art_0022', renditions: { horizontal: 'escob.art_hor_0022.mp4', vertical: 'escob.art_ver_0022.mp4' } },
+        { id: 'escob.art_0023', renditions: { horizontal: 'escob.art_hor_0023.mp4', vertical: 'escob.art_ver_0023.mp4' } },
+        { id: 'escob.art_0024', renditions: { horizontal: 'escob.art_hor_0024.mp4', vertical: 'escob.art_ver_0024.mp4' } },
+        { id: 'escob.art_0025', renditions: { horizontal: 'escob.art_hor_0025.mp4', vertical: 'escob.art_ver_0025.mp4' } },
+        { id: 'escob.art_0026', renditions: { horizontal: 'escob.art_hor_0026.mp4', vertical: 'escob.art_ver_0026.mp4' } },
+        { id: 'escob.art_0027', renditions: { horizontal: 'escob.art_hor_0027.mp4', vertical: 'escob.art_ver_0027.mp4' } },
+        { id: 'escob.art_0028', renditions: { horizontal: 'escob.art_hor_0028.mp4', vertical: 'escob.art_ver_0028.mp4' } },
+        { id: 'escob.art_0029', renditions: { horizontal: 'escob.art_hor_0029.mp4', vertical: 'escob.art_ver_0029.mp4' } },
+        { id: 'escob.art_0030', renditions: { horizontal: 'escob.art_hor_0030.mp4', vertical: 'escob.art_ver_0030.mp4' } },
+        { id: 'escob.art_0031', renditions: { horizontal: 'escob.art_hor_0031.mp4', vertical: 'escob.art_ver_0031.mp4' } },
+        { id: 'escob.art_0032', renditions: { horizontal: 'escob.art_hor_0032.mp4', vertical: 'escob.art_ver_0032.mp4' } },
+        { id: 'escob.art_0033', renditions: { horizontal: 'escob.art_hor_0033.mp4', vertical: 'escob.art_ver_0033.mp4' } },
+        { id: 'escob.art_0034', renditions: { horizontal: 'escob.art_hor_0034.mp4', vertical: 'escob.art_ver_0034.mp4' } },
+        { id: 'escob.art_0035', renditions: { horizontal: 'escob.art_hor_0035.mp4', vertical: 'escob.art_ver_0035.mp4' } },
+        { id: 'escob.art_0036', renditions: { horizontal: 'escob.art_hor_0036.mp4', vertical: 'escob.art_ver_0036.mp4' } },
+        { id: 'escob.art_0037', renditions: { horizontal: 'escob.art_hor_0037.mp4', vertical: 'escob.art_ver_0037.mp4' } },
+        { id: 'escob.art_0038', renditions: { horizontal: 'escob.art_hor_0038.mp4', vertical: 'escob.art_ver_0038.mp4' } },
+        { id: 'escob.art_0039', renditions: { horizontal: 'escob.art_hor_0039.mp4', vertical: 'escob.art_ver_0039.mp4' } },
+        { id: 'escob.art_0040', renditions: { horizontal: 'escob.art_hor_0040.mp4', vertical: 'escob.art_ver_0040.mp4' } },
+        { id: 'escob.art_0041', renditions: { horizontal: 'escob.art_hor_0041.mp4', vertical: 'escob.art_ver_0041.mp4' } },
+        { id: 'escob.art_0042', renditions: { horizontal: 'escob.art_hor_0042.mp4', vertical: 'escob.art_ver_0042.mp4' } },
+        { id: 'escob.art_0043', renditions: { horizontal: 'escob.art_hor_0043.mp4', vertical: 'escob.art_ver_0043.mp4' } },
+        { id: 'escob.art_0044', renditions: { horizontal: 'escob.art_hor_0044.mp4', vertical: 'escob.art_ver_0044.mp4' } },
+        { id: 'escob.art_0045', renditions: { horizontal: 'escob.art_hor_0045.mp4', vertical: 'escob.art_ver_0045.mp4' } },
+        { id: 'escob.art_0046', renditions: { horizontal: 'escob.art_hor_0046.mp4', vertical: 'escob.art_ver_0046.mp4' } },
+        { id: 'escob.art_0047', renditions: { horizontal: 'escob.art_hor_0047.mp4', vertical: 'escob.art_ver_0047.mp4' } },
+        { id: 'escob.art_0048', renditions: { horizontal: 'escob.art_hor_0048.mp4', vertical: 'escob.art_ver_0048.mp4' } },
+        { id: 'escob.art_0049', renditions: { horizontal: 'escob.art_hor_0049.mp4', vertical: 'escob.art_ver_0049.mp4' } },
+        { id: 'escob.art_0050', renditions: { horizontal: 'escob.art_hor_0050.mp4', vertical: 'escob.art_ver_0050.mp4' } },
+        { id: 'escob.art_0051', renditions: { horizontal: 'escob.art_hor_0051.mp4', vertical: 'escob.art_ver_0051.mp4' } },
+        { id: 'escob.art_0052', renditions: { horizontal: 'escob.art_hor_0052.mp4', vertical: 'escob.art_ver_0052.mp4' } },
+        { id: 'escob.art_0053', renditions: { horizontal: 'escob.art_hor_0053.mp4', vertical: 'escob.art_ver_0053.mp4' } },
+        { id: 'escob.art_0054', renditions: { horizontal: 'escob.art_hor_0054.mp4', vertical: 'escob.art_ver_0054.mp4' } },
+        { id: 'escob.art_0055', renditions: { horizontal: 'escob.art_hor_0055.mp4', vertical: 'escob.art_ver_0055.mp4' } },
+        { id: 'escob.art_0056', renditions: { horizontal: 'escob.art_hor_0056.mp4', vertical: 'escob.art_ver_0056.mp4' } },
+        { id: 'escob.art_0057', renditions: { horizontal: 'escob.art_hor_0057.mp4', vertical: 'escob.art_ver_0057.mp4' } },
+        { id: 'escob.art_0058', renditions: { horizontal: null, vertical: 'escob.art_ver_0058.mp4' } },
+        { id: 'escob.art_0059', renditions: { horizontal: null, vertical: 'escob.art_ver_0059.mp4' } },
+        { id: 'escob.art_0060', renditions: { horizontal: null, vertical: 'escob.art_ver_0060.mp4' } },
+        { id: 'escob.art_0061', renditions: { horizontal: null, vertical: 'escob.art_ver_0061.mp4' } },
+        { id: 'escob.art_0062', renditions: { horizontal: null, vertical: 'escob.art_ver_0062.mp4' } },
+        { id: 'escob.art_0063', renditions: { horizontal: null, vertical: 'escob.art_ver_0063.mp4' } },
+        { id: 'escob.art_0064', renditions: { horizontal: null, vertical: 'escob.art_ver_0064.mp4' } },
+        { id: 'escob.art_0065', renditions: { horizontal: null, vertical: 'escob.art_ver_0065.mp4' } },
+        { id: 'escob.art_0066', renditions: { horizontal: null, vertical: 'escob.art_ver_0066.mp4' } },
+        { id: 'escob.art_0067', renditions: { horizontal: null, vertical: 'escob.art_ver_0067.mp4' } },
+        { id: 'escob.art_0068', renditions: { horizontal: null, vertical: 'escob.art_ver_0068.mp4' } },
+        { id: 'escob.art_0069', renditions: { horizontal: null, vertical: 'escob.art_ver_0069.mp4' } },
+        { id: 'escob.art_0070', renditions: { horizontal: null, vertical: 'escob.art_ver_0070.mp4' } },
+        { id: 'escob.art_0071', renditions: { horizontal: null, vertical: 'escob.art_ver_0071.mp4' } },
+        { id: 'escob.art_0072', renditions: { horizontal: null, vertical: 'escob.art_ver_0072.mp4' } },
+        { id: 'escob.art_0073', renditions: { horizontal: null, vertical: 'escob.art_ver_0073.mp4' } },
+        { id: 'escob.art_0074', renditions: { horizontal: null, vertical: 'escob.art_ver_0074.mp4' } },
+        { id: 'escob.art_0075', renditions: { horizontal: null, vertical: 'escob.art_ver_0075.mp4' } },
+        { id: 'escob.art_0076', renditions: { horizontal: null, vertical: 'escob.art_ver_0076.mp4' } },
+        { id: 'escob.art_0077', renditions: { horizontal: null, vertical: 'escob.art_ver_0077.mp4' } },
+        { id: 'escob.art_0078', renditions: { horizontal: null, vertical: 'escob.art_ver_0078.mp4' } },
+        { id: 'escob.art_0079', renditions: { horizontal: null, vertical: 'escob.art_ver_0079.mp4' } },
+        { id: 'escob.art_0080', renditions: { horizontal: null, vertical: 'escob.art_ver_0080.mp4' } },
+        { id: 'escob.art_0081', renditions: { horizontal: null, vertical: 'escob.art_ver_0081.mp4' } },
+        { id: 'escob.art_0082', renditions: { horizontal: null, vertical: 'escob.art_ver_0082.mp4' } },
+        { id: 'escob.art_0083', renditions: { horizontal: null, vertical: 'escob.art_ver_0083.mp4' } },
+        { id: 'escob.art_0084', renditions: { horizontal: null, vertical: 'escob.art_ver_0084.mp4' } },
+        { id: 'escob.art_0085', renditions: { horizontal: null, vertical: 'escob.art_ver_0085.mp4' } },
+        { id: 'escob.art_0086', renditions: { horizontal: null, vertical: 'escob.art_ver_0086.mp4' } },
+        { id: 'escob.art_0087', renditions: { horizontal: null, vertical: 'escob.art_ver_0087.mp4' } },
+        { id: 'escob.art_0088', renditions: { horizontal: null, vertical: 'escob.art_ver_0088.mp4' } },
+        { id: 'escob.art_0089', renditions: { horizontal: null, vertical: 'escob.art_ver_0089.mp4' } },
+        { id: 'escob.art_0090', renditions: { horizontal: null, vertical: 'escob.art_ver_0090.mp4' } },
+        { id: 'escob.art_0091', renditions: { horizontal: null, vertical: 'escob.art_ver_0091.mp4' } },
+        { id: 'escob.art_0092', renditions: { horizontal: null, vertical: 'escob.art_ver_0092.mp4' } },
+        { id: 'escob.art_0093', renditions: { horizontal: null, vertical: 'escob.art_ver_0093.mp4' } },
+        { id: 'escob.art_0094', renditions: { horizontal: null, vertical: 'escob.art_ver_0094.mp4' } },
+        { id: 'escob.art_0095', renditions: { horizontal: null, vertical: 'escob.art_ver_0095.mp4' } },
+        { id: 'escob.art_0096', renditions: { horizontal: null, vertical: 'escob.art_ver_0096.mp4' } },
+        { id: 'escob.art_0097', renditions: { horizontal: null, vertical: 'escob.art_ver_0097.mp4' } },
+        { id: 'escob.art_0098', renditions: { horizontal: null, vertical: 'escob.art_ver_0098.mp4' } },
+        { id: 'escob.art_0099', renditions: { horizontal: null, vertical: 'escob.art_ver_0099.mp4' } },
+        { id: 'escob.art_0100', renditions: { horizontal: null, vertical: 'escob.art_ver_0100.mp4' } },
+        { id: 'escob.art_0101', renditions: { horizontal: null, vertical: 'escob.art_ver_0101.mp4' } },
+        { id: 'escob.art_0102', renditions: { horizontal: null, vertical: 'escob.art_ver_0102.mp4' } },
+        { id: 'escob.art_0103', renditions: { horizontal: null, vertical: 'escob.art_ver_0103.mp4' } },
+        { id: 'escob.art_0104', renditions: { horizontal: null, vertical: 'escob.art_ver_0104.mp4' } },
+        { id: 'escob.art_0105', renditions: { horizontal: null, vertical: 'escob.art_ver_0105.mp4' } },
+        { id: 'escob.art_0106', renditions: { horizontal: null, vertical: 'escob.art_ver_0106.mp4' } },
+        { id: 'escob.art_0107', renditions: { horizontal: null, vertical: 'escob.art_ver_0107.mp4' } },
+        { id: 'escob.art_0108', renditions: { horizontal: null, vertical: 'escob.art_ver_0108.mp4' } },
+        { id: 'escob.art_0109', renditions: { horizontal: null, vertical: 'escob.art_ver_0109.mp4' } },
+        { id: 'escob.art_0110', renditions: { horizontal: null, vertical: 'escob.art_ver_0110.mp4' } },
+        { id: 'escob.art_0111', renditions: { horizontal: null, vertical: 'escob.art_ver_0111.mp4' } },
+        { id: 'escob.art_0112', renditions: { horizontal: null, vertical: 'escob.art_ver_0112.mp4' } },
+        { id: 'escob.art_0113', renditions: { horizontal: null, vertical: 'escob.art_ver_0113.mp4' } },
+        { id: 'escob.art_0114', renditions: { horizontal: null, vertical: 'escob.art_ver_0114.mp4' } },
+        { id: 'escob.art_0115', renditions: { horizontal: null, vertical: 'escob.art_ver_0115.mp4' } },
+        { id: 'escob.art_0116', renditions: { horizontal: null, vertical: 'escob.art_ver_0116.mp4' } },
+        { id: 'escob.art_0117', renditions: { horizontal: null, vertical: 'escob.art_ver_0117.mp4' } },
+        { id: 'escob.art_0118', renditions: { horizontal: null, vertical: 'escob.art_ver_0118.mp4' } },
+        { id: 'escob.art_0119', renditions: { horizontal: null, vertical: 'escob.art_ver_0119.mp4' } },
+        { id: 'escob.art_0120', renditions: { horizontal: null, vertical: 'escob.art_ver_0120.mp4' } },
+        { id: 'escob.art_0121', renditions: { horizontal: null, vertical: 'escob.art_ver_0121.mp4' } },
+        { id: 'escob.art_0122', renditions: { horizontal: null, vertical: 'escob.art_ver_0122.mp4' } },
+        { id: 'escob.art_0123', renditions: { horizontal: null, vertical: 'escob.art_ver_0123.mp4' } },
+        { id: 'escob.art_0124', renditions: { horizontal: null, vertical: 'escob.art_ver_0124.mp4' } },
+        { id: 'escob.art_0125', renditions: { horizontal: null, vertical: 'escob.art_ver_0125.mp4' } },
+        { id: 'escob.art_0126', renditions: { horizontal: null, vertical: 'escob.art_ver_0126.mp4' } },
+        { id: 'escob.art_0127', renditions: { horizontal: null, vertical: 'escob.art_ver_0127.mp4' } },
+        { id: 'escob.art_0128', renditions: { horizontal: null, vertical: 'escob.art_ver_0128.mp4' } },
+        { id: 'escob.art_0129', renditions: { horizontal: null, vertical: 'escob.art_ver_0129.mp4' } },
+        { id: 'escob.art_0130', renditions: { horizontal: null, vertical: 'escob.art_ver_0130.mp4' } },
+        { id: 'escob.art_0131', renditions: { horizontal: null, vertical: 'escob.art_ver_0131.mp4' } },
+        { id: 'escob.art_0132', renditions: { horizontal: null, vertical: 'escob.art_ver_0132.mp4' } },
+        { id: 'escob.art_0133', renditions: { horizontal: null, vertical: 'escob.art_ver_0133.mp4' } },
+        { id: 'escob.art_0134', renditions: { horizontal: null, vertical: 'escob.art_ver_0134.mp4' } },
+        { id: 'escob.art_0135', renditions: { horizontal: null, vertical: 'escob.art_ver_0135.mp4' } },
+        { id: 'escob.art_0136', renditions: { horizontal: null, vertical: 'escob.art_ver_0136.mp4' } },
+        { id: 'escob.art_0137', renditions: { horizontal: null, vertical: 'escob.art_ver_0137.mp4' } },
+        { id: 'escob.art_0138', renditions: { horizontal: null, vertical: 'escob.art_ver_0138.mp4' } },
+        { id: 'escob.art_0139', renditions: { horizontal: null, vertical: 'escob.art_ver_0139.mp4' } },
+        { id: 'escob.art_0140', renditions: { horizontal: null, vertical: 'escob.art_ver_0140.mp4' } },
+        { id: 'escob.art_0141', renditions: { horizontal: null, vertical: 'escob.art_ver_0141.mp4' } },
+        { id: 'escob.art_0142', renditions: { horizontal: null, vertical: 'escob.art_ver_0142.mp4' } },
+        { id: 'escob.art_0143', renditions: { horizontal: null, vertical: 'escob.art_ver_0143.mp4' } },
+        { id: 'escob.art_0144', renditions: { horizontal: null, vertical: 'escob.art_ver_0144.mp4' } },
+        { id: 'escob.art_0145', renditions: { horizontal: null, vertical: 'escob.art_ver_0145.mp4' } },
+        { id: 'escob.art_0146', renditions: { horizontal: null, vertical: 'escob.art_ver_0146.mp4' } },
+        { id: 'escob.art_0147', renditions: { horizontal: null, vertical: 'escob.art_ver_0147.mp4' } },
+        { id: 'escob.art_0148', renditions: { horizontal: null, vertical: 'escob.art_ver_0148.mp4' } },
+        { id: 'escob.art_0149', renditions: { horizontal: null, vertical: 'escob.art_ver_0149.mp4' } },
+        { id: 'escob.art_0150', renditions: { horizontal: null, vertical: 'escob.art_ver_0150.mp4' } },
+        { id: 'escob.art_0151', renditions: { horizontal: null, vertical: 'escob.art_ver_0151.mp4' } },
+        { id: 'escob.art_0152', renditions: { horizontal: null, vertical: 'escob.art_ver_0152.mp4' } },
+        { id: 'escob.art_0153', renditions: { horizontal: null, vertical: 'escob.art_ver_0153.mp4' } },
+        { id: 'escob.art_0154', renditions: { horizontal: null, vertical: 'escob.art_ver_0154.mp4' } },
+        { id: 'escob.art_0155', renditions: { horizontal: null, vertical: 'escob.art_ver_0155.mp4' } },
+        { id: 'escob.art_0156', renditions: { horizontal: null, vertical: 'escob.art_ver_0156.mp4' } },
+        { id: 'escob.art_0157', renditions: { horizontal: null, vertical: 'escob.art_ver_0157.mp4' } },
+        { id: 'escob.art_0158', renditions: { horizontal: null, vertical: 'escob.art_ver_0158.mp4' } },
+        { id: 'escob.art_0159', renditions: { horizontal: null, vertical: 'escob.art_ver_0159.mp4' } },
+        { id: 'escob.art_0160', renditions: { horizontal: null, vertical: 'escob.art_ver_0160.mp4' } },
+        { id: 'escob.art_0161', renditions: { horizontal: null, vertical: 'escob.art_ver_0161.mp4' } },
+        { id: 'escob.art_0162', renditions: { horizontal: null, vertical: 'escob.art_ver_0162.mp4' } },
+        { id: 'escob.art_0163', renditions: { horizontal: null, vertical: 'escob.art_ver_0163.mp4' } },
+        { id: 'escob.art_0164', renditions: { horizontal: null, vertical: 'escob.art_ver_0164.mp4' } },
+        { id: 'escob.art_0165', renditions: { horizontal: null, vertical: 'escob.art_ver_0165.mp4' } },
+        { id: 'escob.art_0166', renditions: { horizontal: null, vertical: 'escob.art_ver_0166.mp4' } },
+        { id: 'escob.art_0167', renditions: { horizontal: null, vertical: 'escob.art_ver_0167.mp4' } },
+        { id: 'escob.art_0168', renditions: { horizontal: null, vertical: 'escob.art_ver_0168.mp4' } },
+        { id: 'escob.art_0169', renditions: { horizontal: null, vertical: 'escob.art_ver_0169.mp4' } },
+        { id: 'escob.art_0170', renditions: { horizontal: null, vertical: 'escob.art_ver_0170.mp4' } },
+        { id: 'escob.art_0171', renditions: { horizontal: null, vertical: 'escob.art_ver_0171.mp4' } },
+        { id: 'escob.art_0172', renditions: { horizontal: null, vertical: 'escob.art_ver_0172.mp4' } },
+        { id: 'escob.art_0173', renditions: { horizontal: null, vertical: 'escob.art_ver_0173.mp4' } },
+        { id: 'escob.art_0174', renditions: { horizontal: null, vertical: 'escob.art_ver_0174.mp4' } },
+        { id: 'escob.art_0175', renditions: { horizontal: null, vertical: 'escob.art_ver_0175.mp4' } },
+        { id: 'escob.art_0176', renditions: { horizontal: null, vertical: 'escob.art_ver_0176.mp4' } },
+        { id: 'escob.art_0177', renditions: { horizontal: null, vertical: 'escob.art_ver_0177.mp4' } }
+    ]
+};
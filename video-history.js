@@ -0,0 +1,164 @@
+/**
+ * Dreams and Poems - Play History and Shuffle
+ * Persistent non-repeating shuffle (localStorage) and hash-based deep links
+ * (e.g. #escob.art_hor_0012) that follow the browser's back/forward buttons.
+ *
+ * @author Carlos Escobar
+ * @description Shuffle order, seen clips and play history for the video player
+ */
+
+// Clip name used in deep links and storage: file name without extension
+function videoNameFromUrl(url) {
+    return url.split('/').pop().split('?')[0].replace(/\.mp4$/, '');
+}
+
+// Shuffle order and seen clips kept across visits
+window.VIDEO_SHUFFLE = {
+    storageKey: null,
+    names: [],            // clip names in the current play list
+    state: { order: [], seen: [] },
+
+    // Fisher-Yates shuffle in place
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    },
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && Array.isArray(stored.order) && Array.isArray(stored.seen)) return stored;
+        } catch (error) {
+            console.log('Shuffle state unavailable:', error.message);
+        }
+        return { order: [], seen: [] };
+    },
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.log('Could not save shuffle state:', error.message);
+        }
+    },
+
+    // Start a new cycle: forget which clips of this list were seen and reshuffle them
+    resetCycle() {
+        const names = new Set(this.names);
+        this.state.seen = this.state.seen.filter(name => !names.has(name));
+        this.state.order = this.state.order.filter(name => !names.has(name)).concat(this.shuffle(this.names.slice()));
+        console.log('🔀 Every dream seen - starting a new shuffle cycle');
+    },
+
+    // Reorder `urls` in place: unseen clips first (in the stored order), then seen ones
+    arrange(urls, listName) {
+        this.storageKey = `dreams-and-poems:shuffle:${listName}`;
+        this.names = urls.map(videoNameFromUrl);
+        this.state = this.load();
+
+        // Clips new to this visitor are shuffled in after the stored order
+        const known = new Set(this.state.order);
+        this.state.order = this.state.order.concat(this.shuffle(this.names.filter(name => !known.has(name))));
+
+        const seen = new Set(this.state.seen);
+        if (this.names.every(name => seen.has(name))) {
+            this.resetCycle();
+            seen.clear();
+            this.state.seen.forEach(name => seen.add(name));
+        }
+        this.save();
+
+        const rank = new Map();
+        const inList = new Set(this.names);
+        this.state.order
+            .filter(name => inList.has(name))
+            .forEach((name, position) => rank.set(name, seen.has(name) ? this.names.length + position : position));
+
+        urls.sort((a, b) => rank.get(videoNameFromUrl(a)) - rank.get(videoNameFromUrl(b)));
+
+        console.log(`🔀 Shuffle: ${this.names.filter(name => !seen.has(name)).length}/${this.names.length} unseen`);
+        return urls;
+    },
+
+    // Record that a clip has been played
+    markSeen(url) {
+        const name = videoNameFromUrl(url);
+        if (this.state.seen.includes(name)) return;
+
+        this.state.seen.push(name);
+        const seen = new Set(this.state.seen);
+        if (this.names.every(listed => seen.has(listed))) this.resetCycle();
+        this.save();
+    }
+};
+
+// Deep links and browser back/forward over the clips played this session
+window.VIDEO_HISTORY = {
+    position: 0,          // our entries before the current one in the browser history
+    onNavigate: null,
+
+    // Listen for back/forward; `onNavigate(name)` is asked to play the clip named in the hash
+    init(onNavigate) {
+        this.onNavigate = onNavigate;
+
+        // After a reload the browser still holds our earlier entries - pick up where they left off
+        if (history.state && typeof history.state.position === 'number') this.position = history.state.position;
+
+        window.addEventListener('popstate', (event) => {
+            if (event.state && typeof event.state.position === 'number') {
+                this.position = event.state.position;
+            } else {
+                // Hash typed or edited by hand - adopt it as a new entry of ours
+                this.position++;
+                history.replaceState({ clip: this.currentName(), position: this.position }, '');
+            }
+
+            const name = this.currentName();
+            if (name) this.onNavigate(name);
+        });
+    },
+
+    // Clip name in the location hash, or null
+    currentName() {
+        const name = decodeURIComponent(window.location.hash.slice(1));
+        return name || null;
+    },
+
+    // Index in `videoList` of the clip `name` refers to (file name of either rendition, or clip id), or -1
+    findIndex(videoList, name) {
+        const clip = window.VIDEO_CATALOG.clips.find(entry =>
+            entry.id === name || Object.values(entry.renditions).includes(`${name}.mp4`));
+        const files = clip ? Object.values(clip.renditions).filter(Boolean) : [`${name}.mp4`];
+
+        return videoList.findIndex(url => files.includes(url.split('/').pop().split('?')[0]));
+    },
+
+    // Reflect the playing clip in the URL; 'push' adds a history entry, 'replace' overwrites the current one
+    record(url, mode = 'push') {
+        const name = videoNameFromUrl(url);
+        const hash = `#${encodeURIComponent(name)}`;
+
+        if (mode === 'push' && window.location.hash !== hash) {
+            this.position++;
+            history.pushState({ clip: name, position: this.position }, '', hash);
+        } else {
+            history.replaceState({ clip: name, position: this.position }, '', hash);
+        }
+    },
+
+    canGoBack() {
+        return this.position > 0;
+    },
+
+    // Step back to the previously played clip; false when there is none
+    back() {
+        if (!this.canGoBack()) return false;
+        history.back();
+        return true;
+    }
+};
+
+console.log('🔀 Video shuffle and play history loaded');
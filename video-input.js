@@ -0,0 +1,243 @@
+/**
+ * Dreams and Poems - Input Mapping
+ * Turns clicks, taps, swipes, long-presses, multi-finger gestures, keys and
+ * Media Session (lock screen, headset, remote) commands into named player
+ * actions. Which input triggers which action is declared in VIDEO_CONFIG.input.
+ *
+ * @author Carlos Escobar
+ * @description Single input layer dispatching to the player's actions
+ */
+
+window.VIDEO_INPUT = {
+    actions: {},   // action name -> handler, supplied by the player
+    ignore: null,  // selector for elements whose own handlers take precedence (buttons)
+
+    // Start listening on `container` (pointer input) and the document (keys)
+    init(container, actions, { ignore = null } = {}) {
+        this.actions = actions;
+        this.ignore = ignore;
+
+        this.attachMouse(container);
+        this.attachTouch(container);
+        this.attachMediaSession();
+
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return; // Leave browser shortcuts alone
+
+            const action = VIDEO_CONFIG.input.keys[e.key.toLowerCase()];
+            if (!action) return;
+
+            e.preventDefault();
+            this.dispatch(action, `key "${e.key}"`);
+        });
+
+        // Prevent context menu
+        container.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+        });
+
+        console.log('🎮 Input bindings active');
+    },
+
+    // Run the action bound to an input
+    dispatch(action, source) {
+        const handler = this.actions[action];
+        if (!handler) {
+            console.log(`❌ ${source} is bound to unknown action "${action}"`);
+            return false;
+        }
+
+        console.log(`✅ ${source} → ${action}`);
+        handler();
+        return true;
+    },
+
+    isIgnored(e) {
+        return this.ignore !== null && e.target.closest(this.ignore) !== null;
+    },
+
+    // Single click / double click (desktop)
+    attachMouse(container) {
+        const bindings = VIDEO_CONFIG.input.mouse;
+        let clickCount = 0;
+        let clickTimer = null;
+
+        container.addEventListener('click', (e) => {
+            if (this.isIgnored(e)) return;
+
+            clickCount++;
+
+            if (clickCount === 1) {
+                clickTimer = setTimeout(() => {
+                    this.dispatch(bindings.click, 'click');
+                    clickCount = 0;
+                }, VIDEO_CONFIG.input.clickWindow); // Wait to detect double click
+            } else if (clickCount === 2) {
+                clearTimeout(clickTimer);
+                this.dispatch(bindings.doubleClick, 'double click');
+                clickCount = 0;
+            }
+        });
+    },
+
+    // Tap, double tap, swipe, long-press and multi-finger gestures (touch screens)
+    attachTouch(container) {
+        const config = VIDEO_CONFIG.input;
+        const bindings = config.touch;
+
+        // Single finger tap tracking
+        let tapTimer = null;
+        let lastTapTime = 0;
+
+        // Gesture tracking for maximum finger count, travel and hold time
+        let gestureInProgress = false;
+        let gestureStartTime = 0;
+        let maxFingers = 0;
+        let startX = 0;
+        let startY = 0;
+        let lastX = 0;
+        let lastY = 0;
+        let gestureTimer = null;
+        let longPressTimer = null;
+        let longPressFired = false;
+
+        const travelled = () => Math.hypot(lastX - startX, lastY - startY);
+
+        const reset = () => {
+            clearTimeout(gestureTimer);
+            clearTimeout(longPressTimer);
+            gestureInProgress = false;
+            longPressFired = false;
+            maxFingers = 0;
+            gestureStartTime = 0;
+        };
+
+        // Decide what the finished gesture was
+        const executeGesture = () => {
+            if (!gestureInProgress) return;
+
+            const duration = Date.now() - gestureStartTime;
+            console.log(`🎯 EXECUTING GESTURE: ${maxFingers} max fingers (${duration}ms duration)`);
+
+            if (longPressFired) {
+                // Already handled while the finger was held
+            } else if (maxFingers === 1) {
+                const dx = lastX - startX;
+                const dy = lastY - startY;
+
+                if (Math.abs(dx) >= config.swipeDistance && Math.abs(dx) > Math.abs(dy)) {
+                    clearTimeout(tapTimer);
+                    lastTapTime = 0;
+                    this.dispatch(dx < 0 ? bindings.swipeLeft : bindings.swipeRight, dx < 0 ? 'swipe left' : 'swipe right');
+                } else if (Math.abs(dy) >= config.swipeDistance) {
+                    clearTimeout(tapTimer);
+                    lastTapTime = 0;
+                    this.dispatch(dy < 0 ? bindings.swipeUp : bindings.swipeDown, dy < 0 ? 'swipe up' : 'swipe down');
+                } else {
+                    const now = Date.now();
+
+                    if (now - lastTapTime < config.doubleTapWindow) {
+                        clearTimeout(tapTimer);
+                        this.dispatch(bindings.doubleTap, 'double tap');
+                        lastTapTime = 0;
+                    } else {
+                        // Single tap - wait to see if there's a second tap
+                        tapTimer = setTimeout(() => this.dispatch(bindings.tap, 'tap'), config.clickWindow);
+                        lastTapTime = now;
+                    }
+                }
+            } else if (maxFingers === 2) {
+                this.dispatch(bindings.twoFingers, '2 fingers');
+            } else if (maxFingers >= 3) {
+                this.dispatch(bindings.threeFingers, `${maxFingers} fingers`);
+            }
+
+            reset();
+        };
+
+        container.addEventListener('touchstart', (e) => {
+            if (this.isIgnored(e)) return;
+            e.preventDefault();
+
+            const fingers = e.touches.length;
+
+            if (!gestureInProgress) {
+                gestureInProgress = true;
+                gestureStartTime = Date.now();
+                maxFingers = fingers;
+                startX = lastX = e.touches[0].clientX;
+                startY = lastY = e.touches[0].clientY;
+
+                // Multi-finger gestures fire once the finger count has settled
+                gestureTimer = setTimeout(() => {
+                    if (maxFingers >= 2) executeGesture();
+                }, VIDEO_CONFIG.mobile.touchTimeout);
+
+                if (VIDEO_CONFIG.mobile.enableHoldToPause) {
+                    longPressTimer = setTimeout(() => {
+                        if (maxFingers === 1 && travelled() < config.swipeDistance / 2) {
+                            longPressFired = true;
+                            this.dispatch(bindings.longPress, 'long press');
+                        }
+                    }, config.longPressDuration);
+                }
+            } else if (fingers > maxFingers) {
+                maxFingers = fingers;
+            }
+        });
+
+        container.addEventListener('touchmove', (e) => {
+            if (this.isIgnored(e) || !gestureInProgress) return;
+
+            maxFingers = Math.max(maxFingers, e.touches.length);
+            lastX = e.touches[0].clientX;
+            lastY = e.touches[0].clientY;
+        });
+
+        container.addEventListener('touchend', (e) => {
+            if (this.isIgnored(e)) return;
+
+            // Complete the gesture once all fingers are lifted
+            if (e.touches.length === 0 && gestureInProgress) executeGesture();
+        });
+
+        container.addEventListener('touchcancel', reset);
+    },
+
+    // Lock screen, headset and remote control buttons
+    attachMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        Object.entries(VIDEO_CONFIG.input.mediaSession).forEach(([event, action]) => {
+            try {
+                navigator.mediaSession.setActionHandler(event, () => this.dispatch(action, `media session "${event}"`));
+            } catch (error) {
+                console.log(`Media session action "${event}" not supported`);
+            }
+        });
+    },
+
+    // Show the playing clip on the lock screen / system media controls
+    updateMediaSession(url) {
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+
+        const clip = VIDEO_CATALOG_LOADER.findClipByUrl(window.VIDEO_CATALOG, url);
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: (clip && clip.title) || url.split('/').pop().split('?')[0],
+            artist: 'Carlos Escobar',
+            album: 'Dreams and Poems',
+            artwork: [
+                { src: 'icon-192x192.png', sizes: '192x192', type: 'image/png' },
+                { src: 'icon-512x512.png', sizes: '512x512', type: 'image/png' }
+            ]
+        });
+    },
+
+    setPlaybackState(paused) {
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.playbackState = paused ? 'paused' : 'playing';
+        }
+    }
+};
+
+console.log('🎮 Input mapping loaded');
@@ -0,0 +1,255 @@
+/**
+ * Dreams and Poems - Kiosk Mode
+ * Exhibition mode enabled with ?kiosk=1: hides the UI, keeps the screen awake,
+ * limits how long one clip stays up, follows a time-of-day play list schedule
+ * and runs a watchdog that recovers from frozen, stalled or paused playback.
+ * Every recovery is logged to localStorage (VIDEO_KIOSK.printLog() to review).
+ *
+ * @author Carlos Escobar
+ * @description Unattended full-screen playback for exhibitions
+ */
+
+window.VIDEO_KIOSK = {
+    enabled: false,
+    player: null,            // callbacks into the player, see init()
+    logKey: 'dreams-and-poems:kiosk-log',
+    wakeLock: null,
+    currentUrl: null,
+    clipStartedAt: 0,
+    lastTime: -1,
+    lastProgressAt: 0,
+    stallTimer: null,
+    resuming: false,         // a play() after an unexpected pause is pending
+    stoppedAt: 0,            // when playback was seen stopped after every clip failed
+    recoveries: new Map(),   // clip name -> recoveries this session
+
+    // Whether the page was opened in kiosk mode (?kiosk, ?kiosk=1, anything but 0/false)
+    isRequested() {
+        const value = new URLSearchParams(window.location.search).get('kiosk');
+        return value !== null && value !== '0' && value !== 'false';
+    },
+
+    // Longest time one clip may stay on screen, in ms
+    maxDwell() {
+        const seconds = Number(new URLSearchParams(window.location.search).get('dwell'));
+        return seconds > 0 ? seconds * 1000 : VIDEO_CONFIG.kiosk.maxDwell;
+    },
+
+    /**
+     * Start kiosk mode. `player` provides:
+     *   getVideo()            - the visible <video>
+     *   isBusy()              - true while a transition is running or playback has stopped
+     *   isStopped()           - true once playback stopped because every clip failed
+     *   next()                - move on to the next clip
+     *   reload()              - reload the current clip
+     *   restart()             - forget the failed clips and start playing again
+     *   setCategory(category) - switch play list (null for the default)
+     *   onRecovery(count)     - called after each logged recovery
+     */
+    init(player) {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.player = player;
+
+        document.body.classList.add('kiosk');
+        this.requestWakeLock();
+
+        // The wake lock is dropped whenever the page is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.requestWakeLock();
+        });
+
+        // Media events don't bubble, so listen in the capture phase for whichever element is active
+        ['stalled', 'waiting'].forEach(type => document.addEventListener(type, (e) => this.onStall(e), true));
+        document.addEventListener('playing', (e) => this.onPlaying(e), true);
+
+        setInterval(() => this.checkPlayback(), VIDEO_CONFIG.kiosk.watchdogInterval);
+        setInterval(() => this.checkSchedule(), 60000);
+
+        console.log(`🖼️ Kiosk mode on - max dwell ${this.maxDwell() / 1000}s, ${VIDEO_CONFIG.kiosk.schedule.length} schedule slot(s)`);
+    },
+
+    async requestWakeLock() {
+        if (!('wakeLock' in navigator)) {
+            console.log('🖼️ Screen Wake Lock API not available');
+            return;
+        }
+
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+            this.wakeLock.addEventListener('release', () => console.log('🖼️ Screen wake lock released'));
+            console.log('🖼️ Screen wake lock held');
+        } catch (error) {
+            console.log('Screen wake lock refused:', error.message);
+        }
+    },
+
+    // A clip is on screen: restart progress tracking, and the dwell clock unless it is a reload of the same clip
+    clipStarted(url) {
+        if (!this.enabled) return;
+
+        if (url !== this.currentUrl) this.clipStartedAt = Date.now();
+        this.currentUrl = url;
+        this.lastTime = -1;
+        this.lastProgressAt = Date.now();
+        clearTimeout(this.stallTimer);
+        this.stallTimer = null;
+    },
+
+    // Watchdog tick: restart stopped playback, enforce the dwell limit and catch a frozen currentTime
+    checkPlayback() {
+        const now = Date.now();
+
+        // Every clip failed - likely a CDN outage the browser doesn't see as going offline
+        if (this.player.isStopped() && navigator.onLine !== false) {
+            if (!this.stoppedAt) {
+                this.stoppedAt = now;
+            } else if (now - this.stoppedAt >= VIDEO_CONFIG.kiosk.restartDelay) {
+                this.stoppedAt = 0;
+                this.record({ reason: 'all clips failed', action: 'restart', clip: 'all clips' });
+                this.player.restart();
+            }
+            return;
+        }
+        this.stoppedAt = 0;
+
+        if (this.player.isBusy() || !this.currentUrl) {
+            this.lastProgressAt = now;
+            return;
+        }
+
+        if (now - this.clipStartedAt >= this.maxDwell()) {
+            console.log('🖼️ Max dwell reached - next clip');
+            this.clipStartedAt = now;
+            this.player.next();
+            return;
+        }
+
+        const video = this.player.getVideo();
+        if (video.currentTime !== this.lastTime) {
+            this.lastTime = video.currentTime;
+            this.lastProgressAt = now;
+        } else if (now - this.lastProgressAt >= VIDEO_CONFIG.timeout.buffer) {
+            this.recover(video.paused ? 'paused' : 'frozen', video);
+            return;
+        }
+
+        // Nothing pauses an exhibition on purpose - autoplay policy, a headset or media key, or a decoder hiccup did
+        if (video.paused && !this.resuming) this.resume(video);
+    },
+
+    // Unexpected pause: play again (muted if autoplay policy wants that), recovering as for a stall if that fails
+    resume(video) {
+        const clip = this.currentUrl.split('/').pop().split('?')[0];
+        const currentTime = Math.round(video.currentTime * 10) / 10;
+
+        this.resuming = true;
+        video.play().catch(error => {
+            if (error.name !== 'NotAllowedError' || video.muted) throw error;
+            video.muted = true;
+            return video.play().then(() => 'muted');
+        }).then((muted) => {
+            this.record({ reason: 'paused', action: muted ? 'resume muted' : 'resume', clip, currentTime });
+        }, (error) => {
+            console.log('Could not resume playback:', error.message);
+            if (video === this.player.getVideo() && !this.player.isBusy()) this.recover('paused', video);
+        }).finally(() => {
+            this.resuming = false;
+        });
+    },
+
+    // stalled/waiting on the visible video: recover unless it starts playing again in time
+    onStall(e) {
+        if (!this.currentUrl || e.target !== this.player.getVideo() || this.stallTimer) return;
+
+        this.stallTimer = setTimeout(() => {
+            this.stallTimer = null;
+            if (!this.player.isBusy() && e.target === this.player.getVideo()) this.recover(e.type, e.target);
+        }, VIDEO_CONFIG.timeout.buffer);
+    },
+
+    onPlaying(e) {
+        if (e.target !== this.player.getVideo()) return;
+        clearTimeout(this.stallTimer);
+        this.stallTimer = null;
+    },
+
+    // Reload the clip, or skip it once it has needed too many reloads
+    recover(reason, video) {
+        clearTimeout(this.stallTimer);
+        this.stallTimer = null;
+
+        const clip = this.currentUrl.split('/').pop().split('?')[0];
+        const count = (this.recoveries.get(clip) || 0) + 1;
+        const action = count > VIDEO_CONFIG.kiosk.maxRecoveriesPerClip ? 'skip' : 'reload';
+        this.recoveries.set(clip, count);
+
+        this.record({ reason, action, clip, currentTime: Math.round(video.currentTime * 10) / 10 });
+        this.lastProgressAt = Date.now();
+
+        if (action === 'skip') {
+            this.player.next();
+        } else {
+            this.player.reload();
+        }
+    },
+
+    record(entry) {
+        const log = this.getLog();
+        log.push({ time: new Date().toISOString(), ...entry });
+
+        try {
+            localStorage.setItem(this.logKey, JSON.stringify(log.slice(-VIDEO_CONFIG.kiosk.logLimit)));
+        } catch (error) {
+            console.log('Could not save kiosk log:', error.message);
+        }
+
+        console.warn(`🛟 Watchdog: ${entry.reason} on ${entry.clip} → ${entry.action}`);
+        this.player.onRecovery(log.length);
+    },
+
+    // Recoveries logged so far (oldest first)
+    getLog() {
+        try {
+            return JSON.parse(localStorage.getItem(this.logKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    printLog() {
+        console.table(this.getLog());
+    },
+
+    clearLog() {
+        localStorage.removeItem(this.logKey);
+        console.log('🔄 Kiosk log cleared');
+    },
+
+    // Category scheduled for `date`, or null when kiosk mode is off or no slot matches
+    scheduledCategory(date = new Date()) {
+        if (!this.isRequested()) return null;
+
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const now = date.getHours() * 60 + date.getMinutes();
+
+        const slot = VIDEO_CONFIG.kiosk.schedule.find(({ from, to }) => {
+            const start = toMinutes(from);
+            const end = toMinutes(to);
+            // Slots may run past midnight (e.g. 22:00-06:00)
+            return start <= end ? now >= start && now < end : now >= start || now < end;
+        });
+
+        return slot ? slot.category : null;
+    },
+
+    checkSchedule() {
+        if (VIDEO_CONFIG.kiosk.schedule.length === 0) return;
+        this.player.setCategory(this.scheduledCategory());
+    }
+};
+
+console.log('🖼️ Kiosk mode support loaded');
@@ -0,0 +1,74 @@
+/**
+ * Dreams and Poems - Offline Support
+ * Registers the service worker (sw.js), tells it which clips are played so
+ * it can keep them, and, while the browser is offline, limits playback to
+ * clips the service worker has already cached.
+ *
+ * @author Carlos Escobar
+ * @description Service worker registration and cached-clip play list filter
+ */
+
+window.VIDEO_OFFLINE = {
+    videoCache: 'dreams-and-poems-videos-v1', // Must match VIDEO_CACHE in sw.js
+    cachedUrls: new Set(),
+    cacheProblem: null,      // last problem the service worker reported with the video cache
+
+    // Register the service worker and report connectivity changes to `onChange(offline)`
+    init(onChange) {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js')
+                .then(registration => console.log('📴 Service worker registered:', registration.scope))
+                .catch(error => console.log('Service worker registration failed:', error.message));
+
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (!event.data || event.data.type !== 'video-cache-problem') return;
+                this.cacheProblem = event.data.message;
+                console.warn(`📴 ${event.data.message}`);
+            });
+        }
+
+        window.addEventListener('offline', () => {
+            this.refresh().then(() => {
+                console.log(`📴 Offline - ${this.cachedUrls.size} cached clip(s) available`);
+                onChange(true);
+            });
+        });
+
+        window.addEventListener('online', () => {
+            console.log('📶 Back online');
+            onChange(false);
+        });
+    },
+
+    // A clip started playing: the service worker keeps played clips for offline play
+    clipStarted(url) {
+        const worker = 'serviceWorker' in navigator && navigator.serviceWorker.controller;
+        if (worker) worker.postMessage({ type: 'clip-started', url });
+    },
+
+    isOffline() {
+        return navigator.onLine === false;
+    },
+
+    // Re-read which clips are in the video cache
+    async refresh() {
+        if (!('caches' in window)) return this.cachedUrls;
+
+        try {
+            const cache = await caches.open(this.videoCache);
+            const requests = await cache.keys();
+            this.cachedUrls = new Set(requests.map(request => request.url).filter(url => url.endsWith('.mp4')));
+        } catch (error) {
+            console.log('Video cache unavailable:', error.message);
+        }
+
+        return this.cachedUrls;
+    },
+
+    // Whether `url` can be played right now (anything online, only cached clips offline)
+    isPlayable(url) {
+        return !this.isOffline() || this.cachedUrls.has(url);
+    }
+};
+
+console.log('📴 Offline support loaded');
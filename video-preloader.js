@@ -0,0 +1,166 @@
+/**
+ * Dreams and Poems - Video Preload Queue
+ * Keeps the next few clips buffered in detached <video> elements so that
+ * "next dream" can swap one in without waiting for the network.
+ *
+ * @author Carlos Escobar
+ * @description Preload queue built on ENHANCED_VIDEO_LOADER and VIDEO_ERROR_HANDLER
+ */
+
+window.VIDEO_PRELOADER = {
+    urls: [],
+    depth: 0,
+    entries: new Map(), // index -> { index, url, element, controller, promise, status }
+    playable: null,     // optional extra filter, e.g. only cached clips while offline
+
+    // Set the play list and how many upcoming clips to keep buffered
+    init(urls, depth) {
+        this.clear();
+        this.urls = urls;
+        this.depth = depth;
+        console.log(`📦 Preload queue ready: ${depth} clip(s) ahead of ${urls.length}`);
+    },
+
+    // Whether `url` may be loaded: not marked as failed and accepted by `playable`
+    isAvailable(url) {
+        return !VIDEO_ERROR_HANDLER.shouldSkipUrl(url) && (!this.playable || this.playable(url));
+    },
+
+    // True while at least one URL is still available
+    hasWorkingUrls() {
+        return this.urls.some(url => this.isAvailable(url));
+    },
+
+    // First index at or after `index` (wrapping) whose URL is still available, or -1
+    findWorkingIndex(index) {
+        for (let offset = 0; offset < this.urls.length; offset++) {
+            const candidate = (index + offset) % this.urls.length;
+            if (this.isAvailable(this.urls[candidate])) return candidate;
+        }
+        return -1;
+    },
+
+    // Up to `count` available indices following `currentIndex`, wrapping round to it last
+    upcomingIndices(currentIndex, count) {
+        const indices = [];
+
+        for (let offset = 1; offset <= this.urls.length && indices.length < count; offset++) {
+            const candidate = (currentIndex + offset) % this.urls.length;
+            if (this.isAvailable(this.urls[candidate])) indices.push(candidate);
+        }
+
+        return indices;
+    },
+
+    // Detached element used to buffer a clip before it is swapped into the page
+    createElement() {
+        const element = document.createElement('video');
+        element.muted = true;
+        element.playsInline = true;
+        element.setAttribute('playsinline', '');
+        element.preload = 'auto';
+        return element;
+    },
+
+    // Start buffering the clip at `index`
+    start(index) {
+        const url = this.urls[index];
+        const element = this.createElement();
+        const controller = new AbortController();
+        const entry = { index, url, element, controller, status: 'loading' };
+
+        entry.promise = ENHANCED_VIDEO_LOADER.loadWithRetry(element, url, VIDEO_CONFIG.retry.maxAttempts, controller.signal).then(() => {
+            entry.status = 'ready';
+            console.log(`📦 Preloaded ${url.split('/').pop()}`);
+            return entry;
+        }, (error) => {
+            entry.status = 'failed';
+            if (this.entries.get(index) === entry) this.entries.delete(index);
+            this.release(element);
+            throw error;
+        });
+
+        // Nobody may be waiting on a background preload - don't surface it as unhandled
+        entry.promise.catch(() => {});
+
+        this.entries.set(index, entry);
+        return entry;
+    },
+
+    // Make sure the next `depth` clips after `currentIndex` are buffering
+    fill(currentIndex) {
+        const wanted = this.upcomingIndices(currentIndex, this.depth);
+
+        // Drop clips that are no longer ahead of us, loaded or not - a late one must not be played out of order
+        this.entries.forEach((entry, index) => {
+            if (!wanted.includes(index)) this.drop(index);
+        });
+
+        wanted.forEach(index => {
+            if (!this.entries.has(index)) this.start(index);
+        });
+    },
+
+    // Resolve with the clip at `index`, using its buffered element when there is one
+    async take(index) {
+        const entry = this.entries.get(index) || this.start(index);
+
+        await entry.promise;
+        this.entries.delete(index);
+        return entry;
+    },
+
+    // Resolve with the nearest of the next `depth` clips that is buffered, skipping any that fail.
+    // A clip that is still loading (or hanging) doesn't hold up a buffered one behind it -
+    // it keeps loading in the background.
+    async next(currentIndex) {
+        const failed = new Set();
+
+        for (;;) {
+            const upcoming = this.upcomingIndices(currentIndex, this.urls.length).filter(index => !failed.has(index));
+            if (upcoming.length === 0) break;
+
+            // Only the clips right ahead count - anything further round the list would play out of order
+            const ahead = upcoming.slice(0, Math.max(this.depth, 1));
+            const ready = ahead.find(index => this.entries.has(index) && this.entries.get(index).status === 'ready');
+            if (ready !== undefined) return this.take(ready);
+
+            // Nothing buffered yet: wait for whichever pending clip settles first (starting one if none is loading)
+            let pending = ahead.filter(index => this.entries.has(index));
+            if (pending.length === 0) pending = [this.start(upcoming[0]).index];
+
+            await Promise.race(pending.map(index => this.entries.get(index).promise.catch(error => {
+                if (failed.has(index)) return;
+                failed.add(index);
+                console.log(`⏭️ Skipping ${this.urls[index].split('/').pop()}: ${error.message}`);
+            })));
+        }
+
+        const error = new Error('All videos failed to load');
+        error.name = 'AllVideosFailedError';
+        throw error;
+    },
+
+    // Stop loading (or buffering) the clip at `index` and forget it
+    drop(index) {
+        const entry = this.entries.get(index);
+        if (!entry) return;
+
+        this.entries.delete(index);
+        entry.controller.abort();
+        this.release(entry.element);
+    },
+
+    // Free the network connection and decoder held by an element
+    release(element) {
+        element.removeAttribute('src');
+        element.load();
+    },
+
+    // Drop every clip, buffered or still loading
+    clear() {
+        Array.from(this.entries.keys()).forEach(index => this.drop(index));
+    }
+};
+
+console.log('📦 Video preload queue loaded');
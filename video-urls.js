@@ -42,24 +42,222 @@ const VIDEO_CONFIG = {
     crossfadeDuration: 800,  // Faster transitions on mobile
     touchTimeout: 150,       // Reduced touch detection timeout
     enableHoldToPause: false // Disable problematic hold-to-pause
+  },
+  // Input bindings: gesture/key/media-session -> player action (see video-input.js)
+  input: {
+    keys: {
+      ' ': 'playOrNext',
+      'enter': 'playOrNext',
+      'arrowright': 'next',
+      'arrowleft': 'previous',
+      'p': 'previous',
+      'm': 'toggleMute',
+      'c': 'toggleCaptions',
+      'i': 'toggleInfo',
+      't': 'toggleInfo'      // Test key for device info display
+    },
+    mouse: {
+      click: 'toggleMute',
+      doubleClick: 'next'
+    },
+    touch: {
+      tap: 'toggleMute',
+      doubleTap: 'next',
+      swipeLeft: 'next',
+      swipeRight: 'previous',
+      swipeUp: 'toggleCaptions',
+      swipeDown: 'toggleCaptions',
+      longPress: 'togglePause', // Only when mobile.enableHoldToPause is on
+      twoFingers: 'toggleInfo',
+      threeFingers: 'toggleInfo'
+    },
+    mediaSession: {
+      play: 'play',
+      pause: 'pause',
+      nexttrack: 'next',
+      previoustrack: 'previous'
+    },
+    clickWindow: 300,      // ms to wait for a second click
+    doubleTapWindow: 400,  // ms between taps for a double tap
+    swipeDistance: 60,     // px of travel for a swipe
+    longPressDuration: 600 // ms held still for a long press
+  },
+  // Exhibition mode (?kiosk=1), see video-kiosk.js
+  kiosk: {
+    maxDwell: 180000,         // ms a clip stays on screen before moving on (?dwell=seconds overrides)
+    watchdogInterval: 2000,   // ms between playback checks; stalls are judged against timeout.buffer
+    maxRecoveriesPerClip: 2,  // reloads of a stalling clip before it is skipped instead
+    restartDelay: 60000,      // ms after every clip failed (e.g. a CDN outage) before trying them all again
+    logLimit: 200,            // recoveries kept in localStorage for staff review
+    // Play lists by time of day, e.g. { from: '18:00', to: '02:00', category: 'poems' }
+    schedule: []
+  },
+  // Viewing analytics, see video-analytics.js
+  analytics: {
+    endpoint: null,        // Beacon URL events are POSTed to (?analytics=<url> overrides on localhost); null keeps them local
+    batchSize: 20,         // Events per beacon
+    flushInterval: 30000,  // ms between flushes of a partial batch
+    maxStored: 500         // Unsent events kept in localStorage while offline
   }
 };
 
-// Video URLs configuration for Dreams and Poems
-window.VIDEO_URLS = {
-    desktop: [
-      "https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0001.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0002.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0003.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0004.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0005.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0006.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0007.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0008.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0009.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0010.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0011.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0012.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0013.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0014.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0015.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0016.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0017.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0018.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0019.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0020.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0021.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0022.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0023.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0024.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0025.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0026.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0027.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0028.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0029.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0030.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0031.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0032.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0033.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0034.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0035.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0036.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0037.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0038.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0039.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0040.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0041.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0042.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0043.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0044.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0045.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0046.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0047.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0048.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0049.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0050.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0051.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0052.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0053.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0054.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0055.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0056.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Desktop/escob.art_hor_0057.mp4" 
-      ],
-    mobile: [
-      "https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0001.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0002.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0003.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0004.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0005.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0006.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0007.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0008.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0009.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0010.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0011.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0012.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0013.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0014.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0015.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0016.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0017.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0018.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0019.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0020.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0021.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0022.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0023.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0024.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0025.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0026.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0027.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0028.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0029.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0030.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0031.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0032.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0033.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0034.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0035.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0036.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0037.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0038.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0039.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0040.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0041.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0042.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0043.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0044.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0045.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0046.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0047.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0048.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0049.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0050.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0051.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0052.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0053.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0054.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0055.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0056.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0057.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0058.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0059.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0060.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0061.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0062.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0063.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0064.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0065.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0066.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0067.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0068.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0069.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0070.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0071.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0072.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0073.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0074.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0075.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0076.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0077.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0078.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0079.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0080.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0081.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0082.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0083.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0084.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0085.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0086.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0087.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0088.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0089.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0090.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0091.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0092.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0093.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0094.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0095.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0096.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0097.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0098.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0099.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0100.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0101.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0102.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0103.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0104.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0105.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0106.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0107.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0108.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0109.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0110.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0111.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0112.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0113.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0114.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0115.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0116.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0117.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0118.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0119.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0120.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0121.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0122.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0123.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0124.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0125.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0126.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0127.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0128.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0129.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0130.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0131.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0132.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0133.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0134.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0135.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0136.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0137.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0138.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0139.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0140.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0141.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0142.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0143.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0144.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0145.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0146.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0147.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0148.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0149.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0150.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0151.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0152.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0153.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0154.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0155.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0156.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0157.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0158.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0159.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0160.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0161.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0162.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0163.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0164.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0165.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0166.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0167.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0168.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0169.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0170.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0171.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0172.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0173.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0174.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0175.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0176.mp4","https://filedn.com/lHC6pEBkEzyQnHC8rtghiku/Dreams%20and%20Poems/Mobile/escob.art_ver_0177.mp4"
-         ]
+// Catalog loading: validates window.VIDEO_CATALOG and derives play lists from it
+window.VIDEO_CATALOG_LOADER = {
+    // Rendition key used for each device list
+    orientations: {
+        desktop: 'horizontal',
+        mobile: 'vertical'
+    },
+    
+    // Check one catalog entry, returning a list of problems (empty when valid)
+    validateClip(clip) {
+        const errors = [];
+        
+        if (!clip || typeof clip !== 'object') return ['entry is not an object'];
+        if (typeof clip.id !== 'string' || !clip.id) errors.push('missing id');
+        if (clip.title !== undefined && (typeof clip.title !== 'string' || !clip.title)) errors.push('title must be text');
+        if (clip.category !== undefined && !(clip.category in VIDEO_METADATA.categories)) {
+            errors.push(`unknown category "${clip.category}"`);
+        }
+        if (clip.duration != null && !(typeof clip.duration === 'number' && clip.duration > 0)) {
+            errors.push('duration must be a positive number of seconds');
+        }
+        if (clip.poem !== undefined && typeof clip.poem !== 'string') errors.push('poem must be text');
+        if (clip.captions !== undefined && !(typeof clip.captions === 'string' && clip.captions.endsWith('.vtt'))) {
+            errors.push('captions must be a .vtt file');
+        }
+        
+        const renditions = clip.renditions || {};
+        const files = Object.values(this.orientations).map(key => renditions[key]).filter(file => file != null);
+        if (files.length === 0) errors.push('no renditions');
+        files.forEach(file => {
+            if (typeof file !== 'string' || !file.endsWith('.mp4')) errors.push(`invalid rendition "${file}"`);
+        });
+        
+        return errors;
+    },
+    
+    // Validate the whole catalog; invalid entries are reported and left out of the play lists.
+    // `untagged` lists the ids of valid clips without a category.
+    validate(catalog) {
+        const errors = [];
+        const clips = [];
+        const seenIds = new Set();
+        
+        if (!catalog || !Array.isArray(catalog.clips)) {
+            return { valid: false, errors: ['catalog has no clips array'], clips, untagged: [] };
+        }
+        
+        Object.values(this.orientations).forEach(key => {
+            if (!catalog.baseUrls || typeof catalog.baseUrls[key] !== 'string') {
+                errors.push(`catalog is missing baseUrls.${key}`);
+            }
+        });
+        
+        catalog.clips.forEach((clip, position) => {
+            const clipErrors = this.validateClip(clip);
+            
+            if (clip && seenIds.has(clip.id)) clipErrors.push(`duplicate id "${clip.id}"`);
+            
+            if (clipErrors.length > 0) {
+                errors.push(`clip ${(clip && clip.id) || '#' + position}: ${clipErrors.join(', ')}`);
+            } else {
+                seenIds.add(clip.id);
+                clips.push(clip);
+            }
+        });
+        
+        const untagged = clips.filter(clip => clip.category === undefined).map(clip => clip.id);
+        return { valid: errors.length === 0, errors, clips, untagged };
+    },
+    
+    // Full URL of a clip's rendition for 'desktop' or 'mobile', or null when it has none
+    resolveUrl(catalog, clip, device) {
+        const key = this.orientations[device];
+        const file = clip.renditions[key];
+        return file ? catalog.baseUrls[key] + file : null;
+    },
+    
+    // Full URL of a clip's WebVTT captions, or null when it has none
+    resolveCaptionsUrl(catalog, clip) {
+        return clip.captions ? (catalog.baseUrls.captions || '') + clip.captions : null;
+    },
+    
+    // Valid clips, optionally restricted to one category
+    getClips(catalog, { category = null } = {}) {
+        const { valid, errors, clips, untagged } = this.validate(catalog);
+        
+        if (!valid) {
+            console.group('⚠️ Video catalog problems');
+            errors.forEach(error => console.warn(error));
+            console.groupEnd();
+        }
+        
+        if (!category) return clips;
+        
+        if (untagged.length > 0) {
+            console.warn(`⚠️ ${untagged.length} of ${clips.length} clips have no category and are left out of "${category}"`);
+        }
+        return clips.filter(clip => clip.category === category);
+    },
+    
+    // Build the { desktop, mobile } URL lists the player consumes
+    buildPlayLists(catalog, options = {}) {
+        const clips = this.getClips(catalog, options);
+        const lists = {};
+        
+        Object.keys(this.orientations).forEach(device => {
+            lists[device] = clips
+                .map(clip => this.resolveUrl(catalog, clip, device))
+                .filter(url => url !== null);
+        });
+        
+        return lists;
+    },
+    
+    // `baseUrls` with the folder shared by the renditions swapped for `baseUrl`, keeping the layout below it
+    // (e.g. http://127.0.0.1:8080/ then serves Desktop/ and Mobile/); other entries such as captions are kept
+    rebaseUrls(baseUrls, baseUrl) {
+        const { horizontal, vertical } = baseUrls;
+        const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+        
+        let shared = 0;
+        while (shared < horizontal.length && horizontal[shared] === vertical[shared]) shared++;
+        const prefix = horizontal.slice(0, horizontal.lastIndexOf('/', shared - 1) + 1);
+        
+        const rebased = { ...baseUrls };
+        Object.entries(baseUrls).forEach(([key, url]) => {
+            if (url.startsWith(prefix)) rebased[key] = base + url.slice(prefix.length);
+        });
+        return rebased;
+    },
+    
+    // Catalog entry whose rendition is served from `url`
+    findClipByUrl(catalog, url) {
+        const file = url.split('/').pop().split('?')[0];
+        return catalog.clips.find(clip => Object.values(clip.renditions).includes(file)) || null;
+    }
 };
 
+// Serve the clips from another host for local testing: ?clips=http://localhost:8080/ (or ?clips=./ for the
+// server hosting the page) with the Desktop/ and Mobile/ folders below it. Only honoured on a local
+// server so a shared link can't make the published site play (and cache) videos from anywhere.
+if (window.location && ['localhost', '127.0.0.1'].includes(window.location.hostname) &&
+    new URLSearchParams(window.location.search).has('clips')) {
+    const clipsBaseUrl = new URL(new URLSearchParams(window.location.search).get('clips'), window.location.href).href;
+    window.VIDEO_CATALOG.baseUrls = VIDEO_CATALOG_LOADER.rebaseUrls(window.VIDEO_CATALOG.baseUrls, clipsBaseUrl);
+    console.log(`🧪 Clips served from ${clipsBaseUrl}`);
+}
+
+// Video URLs configuration for Dreams and Poems, derived from the catalog (see video-catalog.js)
+window.VIDEO_URLS = VIDEO_CATALOG_LOADER.buildPlayLists(window.VIDEO_CATALOG);
+
 // Enhanced error handling and URL validation for Dreams and Poems v024
 window.VIDEO_ERROR_HANDLER = {
     failedUrls: new Set(),
     retryCount: new Map(),
     maxRetries: 3,
+    onError: null, // Optional listener (url, error, statusCode), e.g. analytics
     
     // HTTP status code explanations
     statusCodes: {
@@ -104,6 +302,8 @@ window.VIDEO_ERROR_HANDLER = {
         console.log(`Retry Count: ${retries}/${this.maxRetries}`);
         console.groupEnd();
         
+        if (this.onError) this.onError(url, error, statusCode);
+        
         // Track failed URLs to avoid repeated attempts
         if (retries >= this.maxRetries) {
             this.failedUrls.add(url);
@@ -115,6 +315,14 @@ window.VIDEO_ERROR_HANDLER = {
         return true; // Real error occurred
     },
     
+    // Permanently skip a URL (e.g. after the loader exhausted its retries)
+    markFailed(url) {
+        if (!this.failedUrls.has(url)) {
+            this.failedUrls.add(url);
+            console.warn(`🚫 Marking ${url.split('/').pop()} as permanently failed`);
+        }
+    },
+    
     // Check if URL should be skipped due to previous failures
     shouldSkipUrl(url) {
         return this.failedUrls.has(url);
@@ -153,7 +361,13 @@ window.VIDEO_URL_VALIDATOR = {
             });
             
             if (response.ok || response.status === 304) {
-                return { valid: true, status: response.status };
+                const length = response.headers.get('content-length');
+                return {
+                    valid: true,
+                    status: response.status,
+                    contentType: response.headers.get('content-type'),
+                    size: length === null ? null : Number(length)
+                };
             } else {
                 return { 
                     valid: false, 
@@ -210,41 +424,91 @@ window.VIDEO_URL_VALIDATOR = {
 
 // Enhanced video loading with error handling
 window.ENHANCED_VIDEO_LOADER = {
-    // Load video with comprehensive error handling
-    async loadVideo(videoElement, url) {
+    // Load video with comprehensive error handling; aborting `signal` stops waiting (AbortError, not logged)
+    async loadVideo(videoElement, url, signal = null) {
         return new Promise((resolve, reject) => {
             if (VIDEO_ERROR_HANDLER.shouldSkipUrl(url)) {
                 reject(new Error(`URL marked as failed: ${url}`));
                 return;
             }
+            if (signal && signal.aborted) {
+                reject(this.abortError(url));
+                return;
+            }
             
-            const timeout = setTimeout(() => {
-                reject(new Error(`Video load timeout: ${url}`));
-            }, 30000);
-            
-            const onLoad = () => {
+            const cleanup = () => {
                 clearTimeout(timeout);
                 videoElement.removeEventListener('loadeddata', onLoad);
                 videoElement.removeEventListener('error', onError);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            
+            const timeout = setTimeout(() => {
+                cleanup();
+                
+                const error = new Error(`Video load timeout: ${url}`);
+                error.name = 'TimeoutError';
+                VIDEO_ERROR_HANDLER.logError(url, error);
+                reject(error);
+            }, VIDEO_CONFIG.timeout.loading);
+            
+            const onLoad = () => {
+                cleanup();
                 resolve(videoElement);
             };
             
             const onError = (event) => {
-                clearTimeout(timeout);
-                videoElement.removeEventListener('loadeddata', onLoad);
-                videoElement.removeEventListener('error', onError);
+                cleanup();
                 
                 const error = event.target.error || new Error('Video load failed');
                 VIDEO_ERROR_HANDLER.logError(url, error);
                 reject(error);
             };
             
+            const onAbort = () => {
+                cleanup();
+                reject(this.abortError(url));
+            };
+            
             videoElement.addEventListener('loadeddata', onLoad, { once: true });
             videoElement.addEventListener('error', onError, { once: true });
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
             
             videoElement.src = url;
             videoElement.load();
         });
+    },
+    
+    abortError(url) {
+        const error = new Error(`Video load cancelled: ${url}`);
+        error.name = 'AbortError';
+        return error;
+    },
+    
+    // Load video with exponential backoff between attempts (VIDEO_CONFIG.retry); `signal` cancels
+    // the load, including any retries still to come, without marking the URL as failed
+    async loadWithRetry(videoElement, url, maxAttempts = VIDEO_CONFIG.retry.maxAttempts, signal = null) {
+        let lastError = null;
+        
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                return await this.loadVideo(videoElement, url, signal);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                lastError = error;
+                
+                // Stop early if the error handler has already given up on this URL
+                if (VIDEO_ERROR_HANDLER.shouldSkipUrl(url) || attempt === maxAttempts) break;
+                
+                const backoff = VIDEO_CONFIG.retry.delay * Math.pow(2, attempt - 1);
+                console.log(`🔁 Retrying ${url.split('/').pop()} in ${backoff}ms (attempt ${attempt + 1}/${maxAttempts})`);
+                await new Promise(resolve => setTimeout(resolve, backoff));
+                if (signal && signal.aborted) throw this.abortError(url);
+            }
+        }
+        
+        VIDEO_ERROR_HANDLER.markFailed(url);
+        throw lastError || new Error(`Video load failed: ${url}`);
     }
 };
 